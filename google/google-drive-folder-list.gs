@@ -1,11 +1,26 @@
 /**
- * Google Apps Script to list folders and their subfolders (one level deep) in a Google Sheet
+ * Google Apps Script to list folders and their subfolders in a Google Sheet
  *
  * Handles LARGE folder structures with:
  * - Batch processing to avoid timeout
  * - Resume capability if interrupted
  * - LIVE progress indicator
- * - Option to list folders only OR include subfolders
+ * - Option to list folders only, include subfolders (one level), or the full tree (every level)
+ * - File inventory mode listing every file with type, size and owner
+ * - Duplicate file/folder report (MD5 checksums when the Advanced Drive service is enabled)
+ * - Removal log with one-click restore from Trash
+ * - Protected-folder rules and a dry-run preview before anything is removed
+ * - Status tags from editable rules on a Settings sheet
+ * - Each sheet tab keeps its own root folder, mode and progress
+ * - Shared Drive support (pick a drive as the root; removal respects Shared Drive roles)
+ * - Optional sharing audit columns with bulk Unshare / Make private
+ * - Move / Rename / Archive / Star straight from the Action column
+ * - Optional email digest of new and changed folders after the nightly update
+ * - Control panel sidebar: live progress, folder browser, filter/search, start/stop/resume, pending actions
+ * - Export to CSV, JSON (nested tree) or a Markdown / plain-text tree in Drive, optionally refreshed nightly
+ * - Snapshot history with growth charts and a diff between any two snapshots
+ * - Include/exclude filters (name regex, owner, dates, size, file count) for listings, updates and the empty scan
+ * - Faster folder listings with the Advanced Drive service (batched files.list queries)
  *
  * Usage:
  * 1. Open Google Sheets
@@ -13,1037 +28,5388 @@
  * 3. Paste this code and save
  * 4. Run listFolders() - it will prompt for folder ID on first run
  * 5. Grant permissions when asked
+ * 6. For the sidebar: add an HTML file named "Sidebar" and paste google-drive-folder-list-sidebar.html into it
  */
 
 // Configuration
 const CONFIG = {
   FOLDER_ID: '',              // Set your folder ID here, or leave empty to prompt
   BATCH_SIZE: 10,             // Folders to process before updating sheet (lower = more frequent updates)
-  MAX_RUNTIME_MS: 5 * 60 * 1000  // 5 minutes (leave 1 min buffer before 6 min limit)
+  FILE_BATCH_SIZE: 100,       // Files to process before updating sheet (List Files mode)
+  MAX_RUNTIME_MS: 5 * 60 * 1000, // 5 minutes (leave 1 min buffer before 6 min limit)
+  EMPTY_CHECK_DEPTH: 5,       // Subfolder levels Find Empty Folders checks (deeper = "Too deep to tell")
+  PATH_SEPARATOR: ' / ',      // Separator used in the Path column (full tree mode)
+  ARCHIVE_FOLDER_ID: '',      // Where "Archive" moves things, or leave empty to prompt (remembered)
+  STATUS_IN_SHEET: false      // true = also write progress and instructions into the sheet (column G) - always on until the Sidebar file is added
 };
 
-// Status cell location (column G, after Action column)
-const STATUS_CELL = 'G1';
+// Listing modes (saved with progress so Resume knows what to do)
+const MODE_FOLDERS = 'folders';        // Top-level folders only
+const MODE_SUBFOLDERS = 'subfolders';  // Top-level folders + their direct subfolders
+const MODE_TREE = 'tree';              // Every folder at every depth, with Path + Depth
+const MODE_FILES = 'files';            // Every file at every depth (file inventory)
+const MODE_DUPLICATES = 'duplicates';  // Find Duplicates report (not a listing)
+
+// Status tag for rows whose folder disappeared (Update List)
+const GONE_TAG = '🚫 Gone';
+const GONE_COLOR = '#e0e0e0';
+
+// Nightly digest email - folders listed per tab (the rest are just counted)
+const DIGEST_MAX_CHANGES = 50;
+
+// Export menu formats
+const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  markdown: { label: 'Markdown tree', extension: 'md', mimeType: 'text/markdown' },
+  text: { label: 'Text tree', extension: 'txt', mimeType: 'text/plain' }
+};
+
+// Snapshot history sheets
+const HISTORY_SHEET = 'History';                  // One row per snapshot (totals) + growth charts
+const HISTORY_DETAIL_SHEET = 'History Detail';    // One row per top-level folder per snapshot
+const SNAPSHOT_DIFF_SHEET = 'Snapshot Diff';      // Compare Snapshots report (rewritten each time)
+const HISTORY_HEADERS = ['Snapshot', 'Taken At', 'Tab', 'Root Folder ID', 'Folders', 'New Folders', 'Empty Folders',
+  'Total Size', 'Size (Bytes)', 'Taken By'];
+const HISTORY_DETAIL_HEADERS = ['Snapshot', 'Taken At', 'Tab', 'Top-Level Folder', 'Folders', 'Total Size', 'Size (Bytes)'];
+const HISTORY_CHART_COLS = 5;                     // Per-tab chart data block: Taken At, Folders, New, Empty, Size (GB)
+
+// Filters sheet - rules for what listings and Update List include
+const FILTERS_SHEET = 'Filters';
+const FILTER_RULE_TYPES = ['Include Name Regex', 'Exclude Name Regex', 'Owner', 'Modified After', 'Modified Before',
+  'Min Size (MB)', 'Min Files'];
+const FILTERED_TAG = '🔎 Filtered out';  // Status of listed rows a filter now hides (Update List)
+const FILTERED_COLOR = '#ead1dc';
+
+// Find Duplicates sheets
+const DUPLICATES_SHEET = 'Duplicates';
+const DUPLICATE_SCAN_SHEET = 'Duplicate Scan (temp)';  // Hidden scratch sheet, deleted when the scan finishes
+const DUPLICATE_SCAN_BATCH = 500;                       // Scan rows to collect before writing
+
+// Update List that ran out of time - folders found so far, deleted when the sync finishes
+const SYNC_SCAN_SHEET = 'Sync Scan (temp)';  // Hidden scratch sheet, one per tab (followed by the tab's ID)
+const SYNC_SCAN_HEADERS = ['Kind', 'ID', 'Name', 'URL', 'Date', 'Parent Folder', 'Path', 'Depth'];
+const SYNC_PAUSED_STATUS = '⏸️ PAUSED: Update List ran out of time - Click Update List to continue';
+
+// Shown when a Shared Drive member without trash rights tries to remove or restore something
+const SHARED_DRIVE_ROLE_ERROR = 'On a Shared Drive, only Managers and Content managers can move items to or from Trash';
+
+// Removal Log sheet (every removal, so it can be restored from Trash)
+const REMOVAL_LOG_SHEET = 'Removal Log';
+const REMOVAL_LOG_HEADERS = ['Removed At', 'Type', 'Name', 'Path', 'ID', 'URL', 'Removed By', 'Command',
+  'Listing Sheet', 'Previous Action', 'Row Color', 'Restored At'];
+
+// Protected rules sheet (Remove commands skip matches) and the dry-run report
+const PROTECTED_SHEET = 'Protected';
+const PROTECTED_RULE_TYPES = ['Folder ID', 'Name Regex', 'Newer Files (Days)', 'Shared'];
+const REMOVAL_PREVIEW_SHEET = 'Removal Preview';
+
+// Settings sheet - status tag rules (first match wins), defaults match the original New/Recent Upload tags
+const SETTINGS_SHEET = 'Settings';
+const STATUS_RULE_HEADERS = ['Tag', 'Based On', 'Match', 'Days', 'Color'];
+const DEFAULT_STATUS_RULES = [
+  ['New Upload', 'Created', 'Within', 7, '#c8e6c9'],     // Light green
+  ['Recent Upload', 'Created', 'Within', 30, '#fff59d']  // Brighter yellow
+];
+let statusRules_ = null;  // Loaded once per execution by getStatusRules_
+
+// Rows below the status cell reserved for the instructions block
+const INSTRUCTIONS_MAX_ROWS = 40;
+
+// Status column (column G, or the first column after Action on wider sheets)
+const STATUS_COL = 7;
+
+// Script properties limit each value to 9KB, so saved state is split into chunks
+const STATE_CHUNK_SIZE = 2000;  // Characters per chunk (up to 4 bytes each in UTF-8)
+
+// Status column per sheet, cached for the current execution
+const statusColCache_ = {};
+
+// Fast folder scan with the Advanced Drive service (files.list)
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+const FOLDER_QUERY_PARENTS = 40;  // Parent folders per query - keeps the q string well under the length limit
+
+// Control panel sidebar (HTML file in the Apps Script project)
+const SIDEBAR_FILE = 'Sidebar';
+const SIDEBAR_MAX_ITEMS = 200;   // Folders per level in the folder browser, rows per group in Pending Actions
+const STOP_CHECK_MS = 5000;      // How often a running listing looks for a Stop from the sidebar
+
+// Set while a sidebar call is running - results go back to the sidebar instead of alert boxes
+let fromSidebar_ = false;
+let stopCheckedAt_ = 0;
+let sidebarInstalled_ = null;  // Checked once per execution by isStatusInSheet_
+
+// Optional size columns, inserted before Action
+const STATS_HEADERS = ['Total Size', 'Size (Bytes)', 'Files', 'Subfolders', 'Last File Activity'];
+
+// Optional sharing audit columns, inserted before Action (after the size columns)
+const SHARING_HEADERS = ['Owner', 'Sharing', 'Editors', 'Viewers', 'External Domains'];
+const SHARING_LABELS = {
+  ANYONE: 'Public',
+  ANYONE_WITH_LINK: 'Anyone with link',
+  DOMAIN: 'Domain',
+  DOMAIN_WITH_LINK: 'Domain with link',
+  PRIVATE: 'Private'
+};
+const SHARING_PUBLIC_COLOR = '#f4cccc';    // Red - anyone (with the link) can open it
+const SHARING_EXTERNAL_COLOR = '#fce5cd';  // Orange - shared with people outside the owner's domain
+
+// Sharing Log sheet (every Unshare / Make private, with the sharing it had before)
+const SHARING_LOG_SHEET = 'Sharing Log';
+
+// Folder stats by folder ID, cached for the current execution (full tree mode reuses them for subfolders)
+// A paused listing saves them with its progress, so the size walk picks up where it stopped
+const folderStatsCache_ = {};
+
+// Set by processAllFolders_ - returns true when the size walk has to stop for a pause (time limit or Stop)
+let statsPauseCheck_ = null;
+const STATS_PAUSED_ = 'Size walk paused';
+const STATS_SAVE_QUEUED_MAX = 1000;  // Finished totals of queued folders saved with a pause (the rest are re-walked)
 
 /**
  * List folders only (no subfolders)
  */
 function listFoldersOnly() {
-  startListing_(false);
+  startListing_(MODE_FOLDERS);
 }
 
 /**
  * List folders with their subfolders
  */
 function listFoldersWithSubfolders() {
-  startListing_(true);
+  startListing_(MODE_SUBFOLDERS);
+}
+
+/**
+ * List every folder at every depth (full tree with Path and Depth columns)
+ */
+function listFullTree() {
+  startListing_(MODE_TREE);
+}
+
+/**
+ * List every file under the root folder (all levels)
+ */
+function listFiles() {
+  startListing_(MODE_FILES);
 }
 
 /**
  * Main function - starts fresh listing
  */
-function startListing_(includeSubfolders) {
-  clearProgress_();
-  const sheet = setupSheet_(includeSubfolders);
+function startListing_(mode) {
+  const ui = SpreadsheetApp.getUi();
+  if (mode !== MODE_FILES && !checkFilterRules_(ui, loadFilters_(SpreadsheetApp.getActiveSpreadsheet().getActiveSheet()))) return;
 
   // Get folder ID
-  let folderId = CONFIG.FOLDER_ID;
-  if (!folderId) {
-    const ui = SpreadsheetApp.getUi();
-    const response = ui.prompt(
-      'Enter Folder ID',
-      'Paste the Google Drive folder ID (from the URL after /folders/):\n\nLeave empty to list from root "My Drive"',
-      ui.ButtonSet.OK_CANCEL
+  const folderId = promptForFolderId_(ui);
+  if (folderId === null) return;
+
+  // Size columns need every file to be read, so they're optional (file listings always have sizes)
+  let withStats = false;
+  if (mode !== MODE_FILES) {
+    const statsResponse = ui.alert(
+      'Include Size Columns?',
+      'Add total size, file count, subfolder count and last file activity for each folder?\n\n' +
+      '• Counts everything inside the folder (all levels)\n' +
+      '• Reads every file, so listing takes longer',
+      ui.ButtonSet.YES_NO
     );
-    if (response.getSelectedButton() === ui.Button.CANCEL) return;
-    folderId = response.getResponseText().trim();
+    withStats = statsResponse === ui.Button.YES;
   }
 
-  // Save settings for resume capability
-  const props = PropertiesService.getScriptProperties();
-  props.setProperty('ROOT_FOLDER_ID', folderId);
-  props.setProperty('INCLUDE_SUBFOLDERS', includeSubfolders.toString());
+  // Sharing audit reads every folder's permissions, so it's optional too
+  let withSharing = false;
+  if (mode !== MODE_FILES) {
+    const sharingResponse = ui.alert(
+      'Include Sharing Audit?',
+      'Add owner, sharing level, editor/viewer counts and external domains for each folder?\n\n' +
+      '• Public and externally shared folders are highlighted\n' +
+      '• Reads every folder\'s permissions, so listing takes longer',
+      ui.ButtonSet.YES_NO
+    );
+    withSharing = sharingResponse === ui.Button.YES;
+  }
 
-  processAllFolders_(folderId, includeSubfolders);
+  beginListing_(folderId, mode, withStats, withSharing);
 }
 
 /**
- * Resume function - continues from where it left off
+ * Set up the active tab for a new listing and start it (menu or sidebar)
  */
-function resumeListing() {
-  const props = PropertiesService.getScriptProperties();
-  const folderId = props.getProperty('ROOT_FOLDER_ID');
-  const includeSubfolders = props.getProperty('INCLUDE_SUBFOLDERS') === 'true';
+function beginListing_(folderId, mode, withStats, withSharing) {
+  const sheet = setupSheet_(mode, withStats, withSharing);
+  clearProgress_(sheet);
+  clearSyncProgress_(sheet);
+
+  // Save settings on this tab for resume, Update List and Auto-Update
+  const config = {
+    rootFolderId: folderId,
+    mode: mode,
+    withStats: withStats,
+    withSharing: withSharing,
+    sharedDrive: getSharedDriveName_(folderId)
+  };
+  setSheetConfig_(sheet, config);
+
+  runListing_(sheet, config, false);
+  return sheet;
+}
 
-  if (!folderId && folderId !== '') {
-    SpreadsheetApp.getUi().alert('Nothing to resume. Run "List Folders" first.');
-    return;
-  }
+/**
+ * Ask for the root folder ID (skipped if CONFIG.FOLDER_ID is set)
+ * Typing SHARED picks a Shared Drive from a list instead (its ID works as a folder ID)
+ * Returns the ID ('' for My Drive), or null if cancelled
+ */
+function promptForFolderId_(ui) {
+  if (CONFIG.FOLDER_ID) return CONFIG.FOLDER_ID;
+
+  const response = ui.prompt(
+    'Enter Folder ID',
+    'Paste the Google Drive folder ID (from the URL after /folders/):\n\n' +
+    'Leave empty to list from root "My Drive"\n' +
+    'Type SHARED to pick one of your Shared Drives',
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return null;
 
-  processAllFolders_(folderId, includeSubfolders);
+  const text = response.getResponseText().trim();
+  if (text.toUpperCase() === 'SHARED') return pickSharedDrive_(ui);
+  return getIdFromUrl_(text) || text;
 }
 
 /**
- * Update the status indicator
+ * Let the user pick one of the Shared Drives they can see
+ * Returns the drive ID, or null if cancelled (or there's nothing to pick)
  */
-function updateStatus_(sheet, message, color) {
-  const statusCell = sheet.getRange(STATUS_CELL);
-  statusCell.setValue(message);
-  statusCell.setFontWeight('bold');
-  statusCell.setBackground(color || '#fff3cd'); // Yellow by default
+function pickSharedDrive_(ui) {
+  if (typeof Drive === 'undefined') {
+    ui.alert('Advanced Drive Service Needed',
+      'Listing your Shared Drives needs the Advanced Drive service:\n' +
+      'Apps Script editor → Services (+) → Drive API → Add.\n\n' +
+      'Or paste the Shared Drive\'s ID instead (from its URL after /folders/).',
+      ui.ButtonSet.OK);
+    return null;
+  }
 
-  // Also update next row for extra visibility
-  const timeCell = sheet.getRange('G2');
-  timeCell.setValue(new Date().toLocaleTimeString());
+  const drives = listSharedDrives_();
+  if (drives.length === 0) {
+    ui.alert('No Shared Drives', 'You aren\'t a member of any Shared Drive.', ui.ButtonSet.OK);
+    return null;
+  }
 
-  // Force the sheet to update visually
-  SpreadsheetApp.flush();
+  const response = ui.prompt(
+    'Pick a Shared Drive',
+    drives.map((drive, i) => `${i + 1}. ${drive.name}`).join('\n') + '\n\nEnter the number:',
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return null;
+
+  const drive = drives[parseInt(response.getResponseText(), 10) - 1];
+  if (!drive) {
+    ui.alert('Invalid choice', `Enter a number from 1 to ${drives.length}.`, ui.ButtonSet.OK);
+    return null;
+  }
+  return drive.id;
 }
 
 /**
- * Format date for display (date only, no time)
+ * Every Shared Drive the user is a member of: [{ id, name }] (needs the Advanced Drive service)
  */
-function formatDate_(date) {
-  if (!date) return '';
-  return Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+function listSharedDrives_() {
+  const drives = [];
+  let pageToken = null;
+  do {
+    const options = { pageSize: 100, fields: 'nextPageToken, drives(id, name)' };
+    if (pageToken) options.pageToken = pageToken;
+    const response = Drive.Drives.list(options);
+    drives.push(...(response.drives || []));
+    pageToken = response.nextPageToken;
+  } while (pageToken);
+  return drives.sort((a, b) => a.name.localeCompare(b.name));
 }
 
 /**
- * Get upload status tag based on date
- * Returns: { tag: string, color: string } or null if older than 30 days
+ * Name of the Shared Drive a folder lives on (null for My Drive, or without the Advanced Drive service)
  */
-function getUploadStatus_(date) {
-  if (!date) return null;
-
-  const now = new Date();
-  const diffMs = now.getTime() - date.getTime();
-  const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
-
-  if (diffDays <= 7) {
-    return { tag: 'New Upload', color: '#c8e6c9' };  // Light green (0-7 days)
-  } else if (diffDays <= 30) {
-    return { tag: 'Recent Upload', color: '#fff59d' };  // Brighter yellow (8-30 days)
+function getSharedDriveName_(folderId) {
+  if (!folderId || typeof Drive === 'undefined') return null;
+  try {
+    const info = Drive.Files.get(folderId, { fields: 'driveId', supportsAllDrives: true });
+    return info.driveId ? Drive.Drives.get(info.driveId, { fields: 'name' }).name : null;
+  } catch (e) {
+    return null;
   }
-  return null;
 }
 
 /**
- * Process all folders with timeout protection
+ * Move an item to Trash (or back out of it)
+ * On Shared Drives only Managers and Content managers may do this - check first for a clear error
+ * instead of Drive's generic "Access denied"
  */
-function processAllFolders_(rootFolderId, includeSubfolders) {
-  const startTime = Date.now();
-  const props = PropertiesService.getScriptProperties();
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
-  const ui = SpreadsheetApp.getUi();
-
-  // Get or initialize state
-  let state = JSON.parse(props.getProperty('PROCESS_STATE') || 'null');
+function setItemTrashed_(itemId, isFile, trashed) {
+  if (!canTrashItem_(itemId, trashed)) {
+    throw new Error(SHARED_DRIVE_ROLE_ERROR);
+  }
 
-  if (!state) {
-    // First run - collect all folder IDs to process
-    let rootFolder;
-    try {
-      rootFolder = rootFolderId ? DriveApp.getFolderById(rootFolderId) : DriveApp.getRootFolder();
-    } catch (e) {
-      ui.alert('Error: Could not access folder.\n\n' + e.message);
-      return;
-    }
+  const driveItem = isFile ? DriveApp.getFileById(itemId) : DriveApp.getFolderById(itemId);
+  try {
+    driveItem.setTrashed(trashed);
+  } catch (e) {
+    // Without the Advanced Drive service, this is how a Contributor's attempt shows up
+    if (/access denied|permission/i.test(e.message)) throw new Error(`${e.message} (${SHARED_DRIVE_ROLE_ERROR})`);
+    throw e;
+  }
+}
 
-    // Show scanning status
-    updateStatus_(sheet, '⏳ Scanning folders...', '#fff3cd');
+/**
+ * Can the user move this item to Trash (or restore it)? Only ever false on Shared Drives
+ * Needs the Advanced Drive service - without it, assume yes and let Drive say no
+ */
+function canTrashItem_(itemId, trashed = true) {
+  if (typeof Drive === 'undefined') return true;
 
-    // Collect all top-level folder IDs
-    const folderIds = [];
-    const folders = rootFolder.getFolders();
-    while (folders.hasNext()) {
-      folderIds.push(folders.next().getId());
-    }
+  const info = Drive.Files.get(itemId, { fields: 'driveId, capabilities(canTrash, canUntrash)', supportsAllDrives: true });
+  if (!info.driveId) return true;
+  return trashed ? info.capabilities.canTrash : info.capabilities.canUntrash;
+}
 
-    state = {
-      folderIds: folderIds,
-      currentIndex: 0,
-      totalFolders: folderIds.length,
-      processedCount: 0,
-      includeSubfolders: includeSubfolders
-    };
+/**
+ * Extra line for removal dialogs when the tab lists a Shared Drive - its Trash belongs to the drive
+ */
+function getSharedDriveNote_(sheet) {
+  const config = getSheetConfig_(sheet);
+  if (!config || !config.sharedDrive) return '';
+  return `\n\nThese are on Shared Drive "${config.sharedDrive}" - they go to that drive's Trash, ` +
+    'where its Managers and Content managers can restore them.';
+}
 
-    updateStatus_(sheet, `📁 Found ${folderIds.length} folders to process`, '#fff3cd');
+/**
+ * Resume function - continues from where it left off
+ */
+function resumeListing() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getActiveSheet();
+  const config = getSheetConfig_(sheet);
+
+  if (!config || !hasState_(stateKey_('PROCESS_STATE', sheet))) {
+    const paused = getPausedSheets_(ss);
+    SpreadsheetApp.getUi().alert('Nothing to resume on this tab. Run "List Folders" first.' +
+      (paused.length ? `\n\nPaused listings on other tabs: ${paused.map(s => s.getName()).join(', ')}` : ''));
+    return;
   }
 
-  // Use saved setting if resuming
-  includeSubfolders = state.includeSubfolders;
-
-  const data = [];
-  const statusData = [];  // Track status colors for later
-  let processedThisRun = 0;
-  let currentFolderName = '';
+  runListing_(sheet, config, false);
+}
 
-  // Determine number of columns based on mode
-  // Folders only: Status, Name, URL, Date Added, Action (5 cols)
-  // With subfolders: Status, Parent Folder, Subfolder, Subfolder URL, Date Added, Action (6 cols)
-  const numCols = includeSubfolders ? 6 : 5;
+/**
+ * Continue a tab's listing with its saved settings
+ */
+function runListing_(sheet, config, silent) {
+  if (config.mode === MODE_FILES) {
+    processAllFiles_(sheet, config.rootFolderId, silent);
+  } else {
+    processAllFolders_(sheet, config.rootFolderId, config.mode, config.withStats, config.withSharing, silent);
+  }
+}
 
-  // Process folders
-  while (state.currentIndex < state.folderIds.length) {
-    // Check if we're running out of time
-    if (Date.now() - startTime > CONFIG.MAX_RUNTIME_MS) {
-      // Save progress and prompt to continue
-      saveData_(sheet, data, numCols, statusData);
-      state.processedCount += processedThisRun;
-      props.setProperty('PROCESS_STATE', JSON.stringify(state));
+/**
+ * Update the status indicator - saved for the sidebar, and written to the sheet too if isStatusInSheet_()
+ * progress: 0-1 for the sidebar's progress bar (leave out when the total isn't known)
+ */
+function updateStatus_(sheet, message, color, progress) {
+  const status = { message: message, color: color || '#fff3cd', at: new Date().toLocaleTimeString() };
+  if (progress !== undefined && progress !== null) status.progress = progress;
+  PropertiesService.getScriptProperties().setProperty('SIDEBAR_STATUS_' + sheet.getSheetId(), JSON.stringify(status));
+  if (!isStatusInSheet_()) return;
+
+  const statusCol = getStatusCol_(sheet);
+  const statusCell = sheet.getRange(1, statusCol);
+  statusCell.setValue(message);
+  statusCell.setFontWeight('bold');
+  statusCell.setBackground(color || '#fff3cd'); // Yellow by default
 
-      const percent = Math.round((state.processedCount / state.totalFolders) * 100);
-      updateStatus_(sheet, `⏸️ PAUSED: ${state.processedCount}/${state.totalFolders} (${percent}%) - Click Resume`, '#f8d7da');
+  // Also update next row for extra visibility
+  const timeCell = sheet.getRange(2, statusCol);
+  timeCell.setValue(new Date().toLocaleTimeString());
 
-      ui.alert(
-        'Paused - Time Limit',
-        `Processed ${state.processedCount} of ${state.totalFolders} folders (${percent}%).\n\n` +
-        'Click "Resume Listing" from the menu to continue.',
-        ui.ButtonSet.OK
-      );
-      return;
-    }
+  // Force the sheet to update visually
+  SpreadsheetApp.flush();
+}
 
-    const folderId = state.folderIds[state.currentIndex];
+/**
+ * Note when something last ran (e.g. "Completed: ...") - row 2 of the status column, and in the sidebar
+ */
+function stampStatus_(sheet, text) {
+  PropertiesService.getScriptProperties().setProperty('SIDEBAR_STAMP_' + sheet.getSheetId(), text);
+  if (isStatusInSheet_()) sheet.getRange(2, getStatusCol_(sheet)).setValue(text);
+}
 
+/**
+ * Show the status column and instructions in the sheet? With CONFIG.STATUS_IN_SHEET, or while the
+ * Sidebar HTML file isn't installed (otherwise the status would show up nowhere)
+ */
+function isStatusInSheet_() {
+  if (CONFIG.STATUS_IN_SHEET) return true;
+  if (sidebarInstalled_ === null) {
     try {
-      const folder = DriveApp.getFolderById(folderId);
-      const folderName = folder.getName();
-      const folderUrl = folder.getUrl();
-      const folderDate = folder.getLastUpdated();
-      const folderDateFormatted = formatDate_(folderDate);
-      const folderStatus = getUploadStatus_(folderDate);
-      currentFolderName = folderName;
-
-      if (includeSubfolders) {
-        // Get subfolders (one level only)
-        const subfolders = folder.getFolders();
-
-        if (!subfolders.hasNext()) {
-          const statusTag = folderStatus ? folderStatus.tag : '';
-          data.push([statusTag, folderName, '(no subfolders)', '', folderDateFormatted, '']);
-          statusData.push(folderStatus);
-        } else {
-          while (subfolders.hasNext()) {
-            const sub = subfolders.next();
-            const subDate = sub.getLastUpdated();
-            const subStatus = getUploadStatus_(subDate);
-            data.push([
-              subStatus ? subStatus.tag : '',
-              folderName,
-              sub.getName(),
-              sub.getUrl(),
-              formatDate_(subDate),
-              ''  // Action column
-            ]);
-            statusData.push(subStatus);
-          }
-        }
-      } else {
-        // Folders only - no subfolders
-        const statusTag = folderStatus ? folderStatus.tag : '';
-        data.push([statusTag, folderName, folderUrl, folderDateFormatted, '']);
-        statusData.push(folderStatus);
-      }
+      HtmlService.createHtmlOutputFromFile(SIDEBAR_FILE);
+      sidebarInstalled_ = true;
     } catch (e) {
-      // Skip inaccessible folders
-      if (includeSubfolders) {
-        data.push(['', '(Error)', 'Could not access: ' + e.message, '', '', '']);
-        statusData.push(null);
-      } else {
-        data.push(['', '(Error)', 'Could not access: ' + e.message, '', '']);
-        statusData.push(null);
-      }
-    }
-
-    state.currentIndex++;
-    processedThisRun++;
-
-    // Save in batches and update progress
-    if (processedThisRun % CONFIG.BATCH_SIZE === 0) {
-      saveData_(sheet, data, numCols, statusData);
-      data.length = 0; // Clear array
-      statusData.length = 0; // Clear status array
-
-      const totalProcessed = state.processedCount + processedThisRun;
-      const percent = Math.round((totalProcessed / state.totalFolders) * 100);
-      updateStatus_(sheet, `🔄 Processing: ${totalProcessed}/${state.totalFolders} (${percent}%) - "${currentFolderName}"`, '#fff3cd');
+      sidebarInstalled_ = false;
     }
   }
+  return !sidebarInstalled_;
+}
 
-  // Save any remaining data
-  if (data.length > 0) {
-    saveData_(sheet, data, numCols, statusData);
-  }
-
-  // Done! Clean up
-  clearProgress_();
-
-  // Auto-resize columns
-  for (let i = 1; i <= numCols; i++) {
-    sheet.autoResizeColumn(i);
+/**
+ * Get the status column - column G, or the column right after Action on wider sheets
+ */
+function getStatusCol_(sheet) {
+  const sheetId = sheet.getSheetId();
+  if (!statusColCache_[sheetId]) {
+    const lastCol = Math.max(sheet.getLastColumn(), 1);
+    const headers = sheet.getRange(1, 1, 1, lastCol).getValues()[0];
+    const actionCol = headers.indexOf('Action') + 1;
+    statusColCache_[sheetId] = Math.max(STATUS_COL, actionCol + 1);
   }
-
-  state.processedCount += processedThisRun;
-
-  // Show completion status
-  updateStatus_(sheet, `✅ DONE! Listed ${state.totalFolders} folders`, '#d4edda');
-  sheet.getRange('G2').setValue('Completed: ' + new Date().toLocaleString());
-
-  ui.alert(
-    'Complete!',
-    `Finished listing ${state.totalFolders} folders.`,
-    ui.ButtonSet.OK
-  );
+  return statusColCache_[sheetId];
 }
 
 /**
- * Setup sheet with headers
+ * Get the header row for a listing mode (size, then sharing audit columns go just before Action)
  */
-function setupSheet_(includeSubfolders) {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
-  sheet.clear();
+function getHeadersForMode_(mode, withStats, withSharing) {
+  if (mode === MODE_FILES) {
+    return ['Status', 'Parent Path', 'File Name', 'Type', 'Size', 'Size (Bytes)', 'Owner',
+      'Date Created', 'Last Modified', 'File URL', 'Action'];
+  }
 
   let headers;
-  if (includeSubfolders) {
+  if (mode === MODE_TREE) {
+    headers = ['Status', 'Folder Name', 'Path', 'Depth', 'Folder URL', 'Date Added', 'Action'];
+  } else if (mode === MODE_SUBFOLDERS) {
     headers = ['Status', 'Parent Folder', 'Subfolder', 'Subfolder URL', 'Date Added', 'Action'];
   } else {
     headers = ['Status', 'Folder Name', 'Folder URL', 'Date Added', 'Action'];
   }
 
-  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
-  sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
-  sheet.setFrozenRows(1);
-
-  // Setup status area header (column G, after Action)
-  const statusCol = 7; // Fixed column G for status
-  sheet.getRange(1, statusCol).setValue('⏳ Starting...');
-  sheet.getRange(1, statusCol).setFontWeight('bold');
-  sheet.getRange(1, statusCol).setBackground('#fff3cd');
-  sheet.setColumnWidth(statusCol, 300);
-
-  // Add usage instructions below status
-  const instructions = [
-    ['📌 STATUS COLUMN:'],
-    ['"New Upload" = last 7 days'],
-    ['"Recent Upload" = last 30 days'],
-    [''],
-    ['📋 HOW TO FIND EMPTY FOLDERS:'],
-    ['1. Menu → Find Empty Folders'],
-    ['2. Empty folders get marked'],
-    [''],
-    ['📋 HOW TO REMOVE:'],
-    ['• Menu → Remove Empty Folders'],
-    ['• Or type "Remove" in Action'],
-    ['   then → Remove Marked Folders'],
-    [''],
-    ['📌 ACTION COLUMN VALUES:'],
-    ['"Remove"/"Delete"/"X" = delete'],
-    ['"📭 Empty" = no files found']
-  ];
-  sheet.getRange(3, statusCol, instructions.length, 1).setValues(instructions);
-  sheet.getRange(3, statusCol, 1, 1).setFontWeight('bold');  // "STATUS COLUMN"
-  sheet.getRange(7, statusCol, 1, 1).setFontWeight('bold');  // "HOW TO FIND EMPTY"
-  sheet.getRange(10, statusCol, 1, 1).setFontWeight('bold'); // "HOW TO REMOVE"
-  sheet.getRange(15, statusCol, 1, 1).setFontWeight('bold'); // "ACTION COLUMN VALUES"
+  if (withStats) {
+    headers.splice(headers.length - 1, 0, ...STATS_HEADERS);
+  }
+  if (withSharing) {
+    headers.splice(headers.length - 1, 0, ...SHARING_HEADERS);
+  }
+  return headers;
+}
 
-  return sheet;
+/**
+ * Read the header row of a listing sheet
+ */
+function getHeaderRow_(sheet) {
+  const lastCol = Math.max(sheet.getLastColumn(), 1);
+  return sheet.getRange(1, 1, 1, lastCol).getValues()[0];
 }
 
 /**
- * Append data to sheet and apply status colors
+ * Work out the listing mode of an existing sheet from its headers
  */
-function saveData_(sheet, data, numCols, statusData) {
-  if (data.length === 0) return;
+function getModeFromHeaders_(headers) {
+  if (headers.includes('Suggestion')) return MODE_DUPLICATES;
+  if (headers.includes('File URL')) return MODE_FILES;
+  if (headers.includes('Path')) return MODE_TREE;
+  if (headers.includes('Subfolder')) return MODE_SUBFOLDERS;
+  return MODE_FOLDERS;
+}
 
-  // Get last row with data in column B (Folder Name) - avoids counting instruction text in column G
-  const colBValues = sheet.getRange('B:B').getValues();
-  let lastRow = 1; // Start after header
-  for (let i = colBValues.length - 1; i >= 0; i--) {
-    if (colBValues[i][0] !== '') {
-      lastRow = i + 1;
-      break;
-    }
+/**
+ * Find the URL column (1-based, 0 if missing) - "Folder URL", "Subfolder URL", "File URL" or "URL"
+ */
+function getUrlCol_(headers) {
+  for (const name of ['Folder URL', 'Subfolder URL', 'File URL', 'URL']) {
+    const col = headers.indexOf(name) + 1;
+    if (col > 0) return col;
   }
+  return 0;
+}
 
-  const startRow = lastRow + 1;
-  sheet.getRange(startRow, 1, data.length, numCols).setValues(data);
-
-  // Apply status colors to column A (Status column)
-  if (statusData && statusData.length > 0) {
-    for (let i = 0; i < statusData.length; i++) {
-      if (statusData[i] && statusData[i].color) {
-        sheet.getRange(startRow + i, 1).setBackground(statusData[i].color);
-      }
-    }
+/**
+ * Find the name column (1-based, 0 if missing) - "Folder Name", "Subfolder", "File Name" or "Name"
+ */
+function getNameCol_(headers) {
+  for (const name of ['Folder Name', 'Subfolder', 'File Name', 'Name']) {
+    const col = headers.indexOf(name) + 1;
+    if (col > 0) return col;
   }
+  return 0;
 }
 
 /**
- * Clear saved progress
+ * Extract a Drive file or folder ID from its URL (null if it isn't a Drive URL)
+ * Handles .../folders/ID, .../file/d/ID/... and Docs URLs like .../document/d/ID/edit
  */
-function clearProgress_() {
-  const props = PropertiesService.getScriptProperties();
-  props.deleteProperty('PROCESS_STATE');
-  props.deleteProperty('ROOT_FOLDER_ID');
-  props.deleteProperty('INCLUDE_SUBFOLDERS');
+function getIdFromUrl_(url) {
+  if (!url) return null;
+  const match = String(url).match(/\/(?:folders|d)\/([a-zA-Z0-9_-]+)/) ||
+    String(url).match(/[?&]id=([a-zA-Z0-9_-]+)/);
+  return match ? match[1] : null;
 }
 
 /**
- * Reset everything if something goes wrong
+ * Join a parent path and a folder name for the Path column
  */
-function resetAndStartOver() {
-  clearProgress_();
-  SpreadsheetApp.getUi().alert('Progress cleared. You can now start fresh with "List Folders".');
+function joinPath_(parentPath, name) {
+  return parentPath ? parentPath + CONFIG.PATH_SEPARATOR + name : name;
 }
 
 /**
- * Check if a folder is empty (recursively checks subfolders too)
- * Returns: 'empty' | 'has_files' | 'empty_tree' (has subfolders but all are empty)
+ * Full path of a listing row - "Path" column, else parent + name, else just the name
  */
-function checkFolderEmpty_(folder, depth = 0) {
-  // Limit recursion depth to avoid timeout
-  const MAX_DEPTH = 5;
+function getRowPath_(headers, row) {
+  const value = name => {
+    const col = headers.indexOf(name);
+    return col >= 0 ? String(row[col] || '') : '';
+  };
+  if (headers.includes('Path')) return value('Path');
+  if (headers.includes('Parent Path')) return joinPath_(value('Parent Path'), value('File Name'));
+  if (headers.includes('Parent Folder')) return joinPath_(value('Parent Folder'), value('Subfolder'));
+  const nameCol = getNameCol_(headers);
+  return nameCol ? String(row[nameCol - 1] || '') : '';
+}
 
-  const hasFiles = folder.getFiles().hasNext();
-  if (hasFiles) {
-    return 'has_files';
+/**
+ * Build a listing row for a folder Update List found (see loadSyncScan_)
+ * Returns: { row: Array, status: { tag, color } | null }
+ */
+function buildListingRow_(mode, item, withStats, withSharing) {
+  const status = getStatusTag_(item.date);
+  const tag = status ? status.tag : '';
+  const date = formatDate_(item.date);
+
+  let row;
+  if (mode === MODE_TREE) {
+    row = [tag, item.name, item.path, item.depth, item.url, date, ''];
+  } else if (mode === MODE_SUBFOLDERS) {
+    row = item.url ? [tag, item.parentName, item.name, item.url, date, ''] : [tag, item.name, '(no subfolders)', '', date, ''];
+  } else {
+    row = [tag, item.name, item.url, date, ''];
   }
 
-  const subfolders = folder.getFolders();
-  if (!subfolders.hasNext()) {
-    // No files and no subfolders = completely empty
-    return 'empty';
-  }
+  if (withStats) addStatsToRow_(row, item.folder);
+  if (withSharing) addSharingToRow_(row, item.folder);
+  return { row: row, status: status };
+}
 
-  // Has subfolders - check if they're all empty
-  if (depth >= MAX_DEPTH) {
-    // Too deep, just report as having subfolders
-    return 'has_subfolders';
+/**
+ * Get total size, file count, subfolder count and newest file date for a folder (all levels)
+ * Returns: { bytes, files, subfolders, lastActivity: Date | null }
+ */
+function getFolderStats_(folder) {
+  const folderId = folder.getId();
+  const cached = folderStatsCache_[folderId];
+  if (cached && !cached.partial) return cached;
+  if (statsPauseCheck_ && statsPauseCheck_()) throw new Error(STATS_PAUSED_);
+
+  // The folder's own files are cached on their own (partial), so a paused walk doesn't list them again
+  let own = cached;
+  if (!own) {
+    own = { bytes: 0, files: 0, subfolders: 0, lastActivity: null, partial: true };
+    const files = folder.getFiles();
+    while (files.hasNext()) {
+      const file = files.next();
+      const updated = file.getLastUpdated();
+      own.bytes += file.getSize();  // Google Docs/Sheets/Slides report 0
+      own.files++;
+      if (!own.lastActivity || updated > own.lastActivity) own.lastActivity = updated;
+    }
+    folderStatsCache_[folderId] = own;
   }
 
-  while (subfolders.hasNext()) {
+  const stats = { bytes: own.bytes, files: own.files, subfolders: 0, lastActivity: own.lastActivity };
+
+  const subfolders = folder.getFolders();
+  while (subfolders.hasNext()) {
+    const subStats = getFolderStats_(subfolders.next());
+    subStats.parentId = folderId;
+    stats.bytes += subStats.bytes;
+    stats.files += subStats.files;
+    stats.subfolders += 1 + subStats.subfolders;
+    if (subStats.lastActivity && (!stats.lastActivity || subStats.lastActivity > stats.lastActivity)) {
+      stats.lastActivity = subStats.lastActivity;
+    }
+  }
+
+  folderStatsCache_[folderId] = stats;
+  return stats;
+}
+
+/**
+ * The part of the folder stats cache saved with a paused listing - script properties only hold ~500 KB, so not all of it:
+ * the folders on the interrupted size walk (own files only), their finished subfolders, the folders the walks
+ * started from (the rows of the folder being listed), and in full tree mode the totals of up to
+ * STATS_SAVE_QUEUED_MAX queued folders
+ * folderId -> [bytes, files, subfolders, lastActivity ms, parentId, partial (own files only)]
+ */
+function packStatsCache_(queuedIds) {
+  const isPartial = id => !!id && !!folderStatsCache_[id] && folderStatsCache_[id].partial;
+  const queued = new Set(queuedIds || []);
+  let queuedSaved = 0;
+
+  const packed = {};
+  for (const id in folderStatsCache_) {
+    const stats = folderStatsCache_[id];
+    if (stats.parentId && !stats.partial && !isPartial(stats.parentId)) {
+      if (!queued.has(id) || queuedSaved >= STATS_SAVE_QUEUED_MAX) continue;
+      queuedSaved++;
+    }
+    packed[id] = [stats.bytes, stats.files, stats.subfolders,
+      stats.lastActivity ? stats.lastActivity.getTime() : 0, stats.parentId || '', stats.partial ? 1 : 0];
+  }
+  return packed;
+}
+
+function restoreStatsCache_(packed) {
+  for (const id in packed || {}) {
+    const [bytes, files, subfolders, lastActivity, parentId, partial] = packed[id];
+    folderStatsCache_[id] = {
+      bytes: bytes,
+      files: files,
+      subfolders: subfolders,
+      lastActivity: lastActivity ? new Date(lastActivity) : null,
+      parentId: parentId || undefined,
+      partial: !!partial
+    };
+  }
+}
+
+/**
+ * Forget a folder's cached stats - with withSubtree, also those of everything inside it
+ */
+function dropCachedStats_(folderId, withSubtree) {
+  delete folderStatsCache_[folderId];
+  if (!withSubtree) return;
+
+  for (const id in folderStatsCache_) {
+    let parentId = folderStatsCache_[id].parentId;
+    while (parentId && parentId !== folderId) {
+      parentId = folderStatsCache_[parentId] ? folderStatsCache_[parentId].parentId : null;
+    }
+    if (parentId === folderId) delete folderStatsCache_[id];
+  }
+}
+
+/**
+ * Insert the size columns for a folder into a row, just before the Action cell
+ */
+function addStatsToRow_(row, folder) {
+  const stats = getFolderStats_(folder);
+  row.splice(row.length - 1, 0,
+    formatBytes_(stats.bytes),
+    stats.bytes,
+    stats.files,
+    stats.subfolders,
+    formatDate_(stats.lastActivity)
+  );
+  return row;
+}
+
+/**
+ * Who a folder (or file) is shared with
+ * Returns: { owner, access, editors: [email], viewers: [email], externalDomains: [domain] }
+ * External = not the owner's domain (on Shared Drives, where nobody owns anything, the current user's)
+ */
+function getSharingInfo_(item) {
+  const owner = item.getOwner();  // null on Shared Drives
+  const ownerEmail = owner ? owner.getEmail() : '';
+  const notOwner = email => email && email !== ownerEmail;
+
+  const editors = item.getEditors().map(user => user.getEmail()).filter(notOwner);
+  const viewers = item.getViewers().map(user => user.getEmail()).filter(notOwner);
+
+  const homeDomain = getEmailDomain_(ownerEmail || getCurrentUserEmail_());
+  const externalDomains = [...new Set(editors.concat(viewers).map(getEmailDomain_))]
+    .filter(domain => domain && domain !== homeDomain)
+    .sort();
+
+  return {
+    owner: ownerEmail,
+    access: String(item.getSharingAccess()),
+    editors: editors,
+    viewers: viewers,
+    externalDomains: externalDomains
+  };
+}
+
+/**
+ * Domain part of an email address, lowercased ('' if there isn't one)
+ */
+function getEmailDomain_(email) {
+  const at = String(email || '').lastIndexOf('@');
+  return at >= 0 ? String(email).substring(at + 1).toLowerCase() : '';
+}
+
+/**
+ * Sharing audit cells for an item, in SHARING_HEADERS order
+ */
+function getSharingCells_(item) {
+  const info = getSharingInfo_(item);
+  return [
+    info.owner,
+    SHARING_LABELS[info.access] || info.access,
+    info.editors.length,
+    info.viewers.length,
+    info.externalDomains.join(', ')
+  ];
+}
+
+/**
+ * Insert the sharing audit columns for a folder into a row, just before the Action cell
+ */
+function addSharingToRow_(row, folder) {
+  row.splice(row.length - 1, 0, ...getSharingCells_(folder));
+  return row;
+}
+
+/**
+ * Highlight risky rows in the sharing audit columns - public/link sharing in red, external people in orange
+ * data = the rows as written, starting at startRow (does nothing on sheets without a Sharing column)
+ */
+function applySharingColors_(sheet, startRow, data) {
+  if (data.length === 0) return;
+
+  const headers = getHeaderRow_(sheet);
+  const sharingIdx = headers.indexOf('Sharing');
+  if (sharingIdx < 0) return;
+  const externalIdx = headers.indexOf('External Domains');
+  const actionIdx = headers.indexOf('Action');
+  const ownerCol = headers.indexOf('Owner') + 1;
+
+  const colors = data.map(row => {
+    let color = null;
+    if (String(row[actionIdx]).includes('Removed')) {
+      color = '#f0f0f0';  // Keep removed rows grayed out
+    } else if (['Public', 'Anyone with link'].includes(row[sharingIdx])) {
+      color = SHARING_PUBLIC_COLOR;
+    } else if (row[externalIdx]) {
+      color = SHARING_EXTERNAL_COLOR;
+    }
+    return new Array(SHARING_HEADERS.length).fill(color);
+  });
+  sheet.getRange(startRow, ownerCol, colors.length, SHARING_HEADERS.length).setBackgrounds(colors);
+}
+
+/**
+ * Format a byte count for display (e.g. 1.5 GB)
+ */
+function formatBytes_(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let i = 0;
+  let value = bytes;
+  while (value >= 1024 && i < units.length - 1) {
+    value /= 1024;
+    i++;
+  }
+  return (i === 0 ? value : value.toFixed(1)) + ' ' + units[i];
+}
+
+/**
+ * Save a state object to script properties, split into chunks
+ */
+function saveState_(key, state) {
+  const props = PropertiesService.getScriptProperties();
+  const json = JSON.stringify(state);
+  const oldCount = parseInt(props.getProperty(key + '_CHUNKS') || '0', 10);
+
+  const chunks = {};
+  let count = 0;
+  let start = 0;
+  while (start < json.length) {
+    let end = Math.min(start + STATE_CHUNK_SIZE, json.length);
+    // Don't split an emoji (surrogate pair) across two chunks
+    const lastCode = json.charCodeAt(end - 1);
+    if (lastCode >= 0xD800 && lastCode <= 0xDBFF && end < json.length) end++;
+    chunks[key + '_' + count] = json.substring(start, end);
+    count++;
+    start = end;
+  }
+  chunks[key + '_CHUNKS'] = String(count);
+  props.setProperties(chunks);
+
+  // Drop leftover chunks from a bigger previous save
+  for (let i = count; i < oldCount; i++) {
+    props.deleteProperty(key + '_' + i);
+  }
+}
+
+/**
+ * Load a chunked state object from script properties (null if none saved)
+ */
+function loadState_(key) {
+  const props = PropertiesService.getScriptProperties();
+  const count = parseInt(props.getProperty(key + '_CHUNKS') || '0', 10);
+  if (!count) return null;
+
+  let json = '';
+  for (let i = 0; i < count; i++) {
+    json += props.getProperty(key + '_' + i) || '';
+  }
+  return JSON.parse(json);
+}
+
+/**
+ * Delete a chunked state object from script properties
+ */
+function deleteState_(key) {
+  const props = PropertiesService.getScriptProperties();
+  const count = parseInt(props.getProperty(key + '_CHUNKS') || '0', 10);
+  for (let i = 0; i < count; i++) {
+    props.deleteProperty(key + '_' + i);
+  }
+  props.deleteProperty(key + '_CHUNKS');
+  props.deleteProperty(key); // Unchunked state from older versions
+}
+
+/**
+ * Is there saved state under this key?
+ */
+function hasState_(key) {
+  return PropertiesService.getScriptProperties().getProperty(key + '_CHUNKS') !== null;
+}
+
+/**
+ * Property key for one tab's state, e.g. PROCESS_STATE_123456 - each tab resumes on its own
+ */
+function stateKey_(name, sheet) {
+  return `${name}_${sheet.getSheetId()}`;
+}
+
+/**
+ * Root folder, mode and size columns a tab was listed with
+ * Returns: { rootFolderId, mode, withStats } or null if the tab was never listed
+ */
+function getSheetConfig_(sheet) {
+  migrateLegacySettings_(sheet.getParent());
+  const json = PropertiesService.getScriptProperties().getProperty('SHEET_CONFIG_' + sheet.getSheetId());
+  return json ? JSON.parse(json) : null;
+}
+
+/**
+ * Save a tab's root folder, mode and size columns
+ */
+function setSheetConfig_(sheet, config) {
+  PropertiesService.getScriptProperties().setProperty('SHEET_CONFIG_' + sheet.getSheetId(), JSON.stringify(config));
+}
+
+/**
+ * Every tab with a saved root folder (settings of deleted tabs are cleaned up)
+ */
+function getConfiguredSheets_(ss) {
+  migrateLegacySettings_(ss);
+  const props = PropertiesService.getScriptProperties();
+  const sheets = [];
+
+  for (const key of props.getKeys()) {
+    const match = key.match(/^SHEET_CONFIG_(\d+)$/);
+    if (!match) continue;
+
+    const sheet = getSheetById_(ss, Number(match[1]));
+    if (sheet) {
+      sheets.push(sheet);
+    } else {
+      props.deleteProperty(key);
+      props.deleteProperty(`SIDEBAR_STATUS_${match[1]}`);
+      props.deleteProperty(`SIDEBAR_STAMP_${match[1]}`);
+      props.deleteProperty(`EXPORT_${match[1]}`);
+      props.deleteProperty(`STOP_REQUEST_${match[1]}`);
+      deleteState_(`PROCESS_STATE_${match[1]}`);
+      deleteState_(`EMPTY_SCAN_STATE_${match[1]}`);
+      deleteState_(`SYNC_STATE_${match[1]}`);
+      const scanSheet = ss.getSheetByName(`${SYNC_SCAN_SHEET} ${match[1]}`);
+      if (scanSheet) ss.deleteSheet(scanSheet);
+    }
+  }
+  return sheets;
+}
+
+/**
+ * Tabs with a paused listing
+ */
+function getPausedSheets_(ss) {
+  return getConfiguredSheets_(ss).filter(sheet => hasState_(stateKey_('PROCESS_STATE', sheet)));
+}
+
+/**
+ * Older versions kept one root folder and one progress for the whole spreadsheet -
+ * move them onto the tab they belong to (the one in the saved progress, else the active tab)
+ */
+function migrateLegacySettings_(ss) {
+  const props = PropertiesService.getScriptProperties();
+  const legacyState = loadState_('PROCESS_STATE');
+  const legacyRoot = props.getProperty('ROOT_FOLDER_ID');
+
+  if (legacyRoot !== null) {
+    const sheet = (legacyState && getSheetById_(ss, legacyState.sheetId)) || ss.getActiveSheet();
+    props.setProperty('SHEET_CONFIG_' + sheet.getSheetId(), JSON.stringify({
+      rootFolderId: legacyRoot,
+      mode: props.getProperty('LIST_MODE') || MODE_FOLDERS,
+      withStats: props.getProperty('LIST_WITH_STATS') === 'true'
+    }));
+    if (legacyState) saveState_(stateKey_('PROCESS_STATE', sheet), legacyState);
+    props.deleteProperty('ROOT_FOLDER_ID');
+    props.deleteProperty('LIST_MODE');
+    props.deleteProperty('LIST_WITH_STATS');
+  }
+  if (legacyState) deleteState_('PROCESS_STATE');
+
+  const legacyScan = loadState_('EMPTY_SCAN_STATE');
+  if (legacyScan) {
+    const scanSheet = getSheetById_(ss, legacyScan.sheetId);
+    if (scanSheet) saveState_(stateKey_('EMPTY_SCAN_STATE', scanSheet), legacyScan);
+    deleteState_('EMPTY_SCAN_STATE');
+  }
+}
+
+/**
+ * Format date for display (date only, no time)
+ */
+function formatDate_(date) {
+  if (!date) return '';
+  return Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+}
+
+/**
+ * Get the status tag for an item from the Settings sheet rules (first matching rule wins)
+ * Folder listings only keep one date, so folders pass the same date for both
+ * Returns: { tag: string, color: string } or null if no rule matches
+ */
+function getStatusTag_(created, modified = created) {
+  for (const rule of getStatusRules_()) {
+    const date = rule.basedOn === 'Modified' ? modified : created;
+    if (!date) continue;
+
+    const diffDays = Math.floor((Date.now() - date.getTime()) / (1000 * 60 * 60 * 24));
+    const matches = rule.match === 'Older Than' ? diffDays > rule.days : diffDays <= rule.days;
+    if (matches) {
+      return { tag: rule.tag, color: rule.color };
+    }
+  }
+  return null;
+}
+
+/**
+ * Status tag rules from the Settings sheet (defaults if there's no Settings sheet yet), loaded once per execution
+ */
+function getStatusRules_() {
+  if (!statusRules_) {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SETTINGS_SHEET);
+    statusRules_ = sheet ? readStatusRules_(sheet).rules : readStatusRuleRows_(DEFAULT_STATUS_RULES, 2).rules;
+  }
+  return statusRules_;
+}
+
+/**
+ * Read the rule table on the Settings sheet
+ * Returns: { rules: [{ tag, basedOn, match, days, color }], errors: [string] }
+ */
+function readStatusRules_(sheet) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1) return { rules: [], errors: [] };
+  return readStatusRuleRows_(sheet.getRange(2, 1, lastRow - 1, STATUS_RULE_HEADERS.length).getValues(), 2);
+}
+
+/**
+ * Turn rule rows (Tag, Based On, Match, Days, Color) into rules - bad rows are skipped and reported
+ */
+function readStatusRuleRows_(rows, firstRow) {
+  const rules = [];
+  const errors = [];
+
+  rows.forEach((values, i) => {
+    const row = firstRow + i;
+    const [tag, basedOn, match, days, color] = values.map(v => String(v).trim());
+    if (!tag) return;
+
+    if (!['Created', 'Modified'].includes(basedOn)) {
+      errors.push(`Row ${row}: Based On must be Created or Modified`);
+    } else if (!['Within', 'Older Than'].includes(match)) {
+      errors.push(`Row ${row}: Match must be Within or Older Than`);
+    } else if (days === '' || isNaN(Number(days)) || Number(days) < 0) {
+      errors.push(`Row ${row}: "${days}" is not a number of days`);
+    } else if (color && !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color)) {
+      errors.push(`Row ${row}: "${color}" is not a color like #c8e6c9`);
+    } else {
+      rules.push({ tag: tag, basedOn: basedOn, match: match, days: Number(days), color: color || '#ffffff' });
+    }
+  });
+
+  return { rules: rules, errors: errors };
+}
+
+/**
+ * Describe a rule for the sheet instructions, e.g. "New Upload" = created in the last 7 days
+ */
+function describeStatusRule_(rule) {
+  const what = rule.basedOn === 'Modified' ? 'modified' : 'created';
+  return rule.match === 'Older Than'
+    ? `"${rule.tag}" = ${what} over ${rule.days} days ago`
+    : `"${rule.tag}" = ${what} in the last ${rule.days} days`;
+}
+
+/**
+ * Create the Settings sheet (with the default rules) if needed and jump to it
+ */
+function openSettings() {
+  getSettingsSheet_(SpreadsheetApp.getActiveSpreadsheet()).activate();
+}
+
+/**
+ * Get (or create) the Settings sheet - one status tag rule per row, checked top to bottom
+ */
+function getSettingsSheet_(ss) {
+  let sheet = ss.getSheetByName(SETTINGS_SHEET);
+  if (sheet) return sheet;
+
+  sheet = ss.insertSheet(SETTINGS_SHEET);
+  sheet.getRange(1, 1, 1, STATUS_RULE_HEADERS.length).setValues([STATUS_RULE_HEADERS]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+  sheet.getRange(2, 1, DEFAULT_STATUS_RULES.length, STATUS_RULE_HEADERS.length).setValues(DEFAULT_STATUS_RULES);
+  sheet.setColumnWidth(1, 180);
+
+  // Dropdowns for Based On and Match
+  const dropdown = values => SpreadsheetApp.newDataValidation().requireValueInList(values).setAllowInvalid(false).build();
+  sheet.getRange(2, 2, 100, 1).setDataValidation(dropdown(['Created', 'Modified']));
+  sheet.getRange(2, 3, 100, 1).setDataValidation(dropdown(['Within', 'Older Than']));
+
+  // Show each color on its Tag cell
+  sheet.getRange(2, 1, DEFAULT_STATUS_RULES.length, 1).setBackgrounds(DEFAULT_STATUS_RULES.map(rule => [rule[4]]));
+
+  const instructions = [
+    ['🏷️ STATUS TAG RULES:'],
+    ['Checked top to bottom, first match wins'],
+    ['Based On = Created or Modified date'],
+    ['  (folder listings only keep one date)'],
+    ['Match = Within / Older Than N Days'],
+    ['Color = hex, e.g. #c8e6c9'],
+    [''],
+    ['Example: Stale | Modified | Older Than | 365 | #ffcdd2'],
+    [''],
+    ['After editing: open a listing sheet →'],
+    ['Menu → Re-apply Status Tags']
+  ];
+  sheet.getRange(1, 7, instructions.length, 1).setValues(instructions);
+  sheet.getRange(1, 7).setFontWeight('bold');
+  sheet.setColumnWidth(7, 320);
+
+  return sheet;
+}
+
+/**
+ * Re-tag every row on the active listing sheet from the Settings rules, using the dates already in the sheet
+ * No Drive calls, so it's quick even on big lists
+ */
+function reapplyStatusTags() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getActiveSheet();
+  const ui = SpreadsheetApp.getUi();
+
+  const settingsSheet = ss.getSheetByName(SETTINGS_SHEET);
+  if (settingsSheet) {
+    const { rules, errors } = readStatusRules_(settingsSheet);
+    if (errors.length > 0) {
+      ui.alert('Fix the Settings sheet first',
+        'Some status tag rules could not be read, so nothing was changed:\n\n' + errors.slice(0, 10).join('\n'),
+        ui.ButtonSet.OK);
+      return;
+    }
+    statusRules_ = rules;
+  }
+
+  const headers = getHeaderRow_(sheet);
+  const mode = getModeFromHeaders_(headers);
+  const actionCol = headers.indexOf('Action') + 1;
+  // Files keep both dates; folder listings only have "Date Added"
+  const createdIdx = headers.includes('Date Created') ? headers.indexOf('Date Created') : headers.indexOf('Date Added');
+  const modifiedIdx = headers.includes('Last Modified') ? headers.indexOf('Last Modified') : headers.indexOf('Date Added');
+
+  if (mode === MODE_DUPLICATES || actionCol === 0 || createdIdx < 0 || headers[0] !== 'Status') {
+    ui.alert('Open a listing sheet', 'Run Re-apply Status Tags from a folder or file listing sheet.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1) {
+    ui.alert('No data', 'No rows to tag.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const data = sheet.getRange(2, 1, lastRow - 1, actionCol).getValues();
+  const tags = sheet.getRange(2, 1, lastRow - 1, 1).getValues();
+  const colors = sheet.getRange(2, 1, lastRow - 1, 1).getBackgrounds();
+  const counts = {};
+
+  for (let i = 0; i < data.length; i++) {
+    const row = data[i];
+    if (row[1] === '' || row[1] === '(Error)') continue;
+    if (String(row[0]).startsWith(GONE_TAG)) continue;                 // Keep the Gone marker
+    if (String(row[0]).startsWith(FILTERED_TAG)) continue;             // And the Filtered out one
+    if (String(row[actionCol - 1]).includes('Removed')) continue;      // Grayed out, in Trash
+
+    const status = getStatusTag_(parseSheetDate_(row[createdIdx]), parseSheetDate_(row[modifiedIdx]));
+    tags[i][0] = status ? status.tag : '';
+    colors[i][0] = status ? status.color : '#ffffff';
+    if (status) counts[status.tag] = (counts[status.tag] || 0) + 1;
+  }
+
+  sheet.getRange(2, 1, tags.length, 1).setValues(tags).setBackgrounds(colors);
+  writeInstructions_(sheet, getStatusCol_(sheet));
+
+  const summary = Object.keys(counts).map(tag => `${tag}: ${counts[tag]}`).join(', ') || 'no rows matched a rule';
+  updateStatus_(sheet, `🏷️ Status tags re-applied (${summary})`, '#d4edda');
+  ui.alert('Status Tags Updated', `Re-tagged ${data.length} row(s).\n\n${summary}`, ui.ButtonSet.OK);
+}
+
+/**
+ * Read a date cell written by formatDate_ - Sheets usually turns "yyyy-MM-dd" into a Date, but not always
+ */
+function parseSheetDate_(value) {
+  if (value instanceof Date) return value;
+  const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+}
+
+/**
+ * Process all folders with timeout protection
+ * With the Advanced Drive service, folders are read with batched files.list queries (names, dates and
+ * links of many folders per call) - otherwise one DriveApp call per folder
+ */
+function processAllFolders_(sheet, rootFolderId, mode, withStats, withSharing, silent) {
+  const startTime = Date.now();
+  const stateKey = stateKey_('PROCESS_STATE', sheet);
+
+  // Folder names, links and subfolders read with the Drive API this run (not saved - re-read after a pause)
+  const cache = { children: {}, meta: {} };
+
+  // Filters sheet rules are read on every run, so changing them mid-listing applies from the next batch
+  const filters = loadFilters_(sheet);
+  if (filters.errors.length > 0) {
+    // Unattended: let continueListing retry (the sheet may get fixed meanwhile) and email if it keeps failing
+    if (silent) throw new Error('Fix the Filters sheet - ' + filters.errors[0]);
+
+    updateStatus_(sheet, '❌ Fix the Filters sheet, then Resume Listing: ' + filters.errors[0], '#f8d7da');
+    if (!fromSidebar_) checkFilterRules_(SpreadsheetApp.getUi(), filters);
+    return;
+  }
+
+  // Get or initialize state
+  let state = loadState_(stateKey);
+
+  if (!state) {
+    // First run - collect all folder IDs to process
+    let rootFolder;
+    try {
+      rootFolder = rootFolderId ? DriveApp.getFolderById(rootFolderId) : DriveApp.getRootFolder();
+    } catch (e) {
+      reportRootError_(sheet, e, silent);
+      return;
+    }
+
+    // Show scanning status
+    updateStatus_(sheet, '⏳ Scanning folders...', '#fff3cd');
+
+    // Collect all top-level folder IDs
+    const rootId = rootFolder.getId();
+    const fast = typeof Drive !== 'undefined';
+    let folderIds = [];
+    if (fast) {
+      fetchChildFolders_([rootId], cache);
+      folderIds = cache.children[rootId].slice();
+    } else {
+      const folders = rootFolder.getFolders();
+      while (folders.hasNext()) {
+        folderIds.push(folders.next().getId());
+      }
+    }
+
+    state = {
+      folderIds: folderIds,
+      currentIndex: 0,
+      totalFolders: folderIds.length,
+      processedCount: 0,
+      mode: mode,
+      withStats: withStats,
+      withSharing: withSharing,
+      rootId: rootId,
+      fast: fast,
+      nextRow: 2,  // Next sheet row to write (the sheet was just cleared)
+      filtered: 0  // Folders left out by the Filters sheet
+    };
+
+    if (mode === MODE_TREE) {
+      // Depth-first walk: stack of [folderId, parentPath, depth, parentId, insideIncluded], subfolders get
+      // pushed as they're found so the stack only holds the unvisited folders
+      state.stack = folderIds.reverse().map(id => [id, '', 1, rootId, false]);
+      state.folderIds = [];
+    }
+
+    showActiveFilters_(sheet, filters);
+
+    updateStatus_(sheet, `📁 Found ${folderIds.length} folders to process`, '#fff3cd');
+  }
+
+  // Use saved settings if resuming
+  mode = state.mode;
+  withStats = state.withStats;
+  withSharing = state.withSharing;
+
+  // Progress saved by older versions doesn't track its row (or have the parent IDs the fast scan needs)
+  if (!state.nextRow) state.nextRow = findNextRow_(sheet);
+  state.filtered = state.filtered || 0;
+  const api = state.fast ? cache : null;
+  restoreStatsCache_(state.statsCache);
+
+  const data = [];
+  const statusData = [];  // Track status colors for later
+  let processedThisRun = 0;
+  let currentFolderName = '';
+
+  // Out of time, or Stop was clicked in the sidebar - also checked inside the size walk of a big folder
+  let stopped = false;
+  const shouldPause = () => {
+    stopped = stopped || isStopRequested_(sheet, startTime);
+    return stopped || Date.now() - startTime > CONFIG.MAX_RUNTIME_MS;
+  };
+  statsPauseCheck_ = shouldPause;
+
+  // Save progress (and the folder totals the size walk finished) and continue later
+  const pause = () => {
+    statsPauseCheck_ = null;
+    state.nextRow = saveData_(sheet, data, numCols, statusData, state.nextRow);
+    state.processedCount += processedThisRun;
+    state.statsCache = packStatsCache_(mode === MODE_TREE ? state.stack.map(entry => entry[0]) : null);
+    saveState_(stateKey, state);
+
+    pauseListing_(sheet, formatProgress_(state, state.processedCount), silent, stopped);
+  };
+
+  // Folders only: Status, Name, URL, Date Added, Action (5 cols)
+  // With subfolders: Status, Parent Folder, Subfolder, Subfolder URL, Date Added, Action (6 cols)
+  // Full tree: Status, Name, Path, Depth, URL, Date Added, Action (7 cols)
+  // Size columns add 5 more before Action, sharing audit another 5
+  const numCols = getHeadersForMode_(mode, withStats, withSharing).length;
+  const addStats = (row, info) => {
+    if (!withStats && !withSharing) return row;
+    const folder = info.folder || DriveApp.getFolderById(info.id);
+    if (withStats) addStatsToRow_(row, folder);
+    if (withSharing) addSharingToRow_(row, folder);
+    return row;
+  };
+  const hasMore = () => (mode === MODE_TREE ? state.stack.length > 0 : state.currentIndex < state.folderIds.length);
+
+  // Process folders
+  while (hasMore()) {
+    if (shouldPause()) {
+      pause();
+      return;
+    }
+
+    const treeEntry = mode === MODE_TREE ? state.stack.pop() : null;
+    const folderId = treeEntry ? treeEntry[0] : state.folderIds[state.currentIndex];
+    const rowsBefore = data.length;
+    const filteredBefore = state.filtered;
+
+    try {
+      if (api) prefetchFolders_(state, treeEntry, api);
+      const info = getFolderInfo_(folderId, api);
+      const folderDateFormatted = formatDate_(info.date);
+      const folderStatus = getStatusTag_(info.date);
+      currentFolderName = info.name;
+
+      if (isExcludedName_(filters, info.name)) {
+        // Excluded - nothing inside it is listed either
+        state.filtered++;
+        if (mode === MODE_TREE) dropCachedStats_(folderId, true);
+      } else if (mode === MODE_TREE) {
+        const path = joinPath_(treeEntry[1], info.name);
+        const depth = treeEntry[2];
+        const insideIncluded = !!treeEntry[4] || (filters.include.length > 0 && isIncludedName_(filters, info.name));
+        if (passesFilters_(filters, info, !!treeEntry[4])) {
+          const statusTag = folderStatus ? folderStatus.tag : '';
+          data.push(addStats([statusTag, info.name, path, depth, info.url, folderDateFormatted, ''], info));
+          statusData.push(folderStatus);
+        } else {
+          state.filtered++;  // Hidden, but its subfolders are still checked
+        }
+
+        // Queue subfolders (in reverse, so they're listed in order right after this folder)
+        const childIds = getChildFolders_(info, api).map(child => child.id);
+        for (let i = childIds.length - 1; i >= 0; i--) {
+          state.stack.push([childIds[i], path, depth + 1, folderId, insideIncluded]);
+        }
+        state.totalFolders += childIds.length;
+      } else if (mode === MODE_SUBFOLDERS) {
+        // Get subfolders (one level only)
+        const subfolders = getChildFolders_(info, api);
+        const parentIncluded = filters.include.length > 0 && isIncludedName_(filters, info.name);
+
+        if (subfolders.length === 0) {
+          if (passesFilters_(filters, info, false)) {
+            const statusTag = folderStatus ? folderStatus.tag : '';
+            data.push(addStats([statusTag, info.name, '(no subfolders)', '', folderDateFormatted, ''], info));
+            statusData.push(folderStatus);
+          } else {
+            state.filtered++;
+          }
+        } else {
+          for (const sub of subfolders) {
+            if (!passesFilters_(filters, sub, parentIncluded)) {
+              state.filtered++;
+              continue;
+            }
+            const subStatus = getStatusTag_(sub.date);
+            data.push(addStats([
+              subStatus ? subStatus.tag : '',
+              info.name,
+              sub.name,
+              sub.url,
+              formatDate_(sub.date),
+              ''  // Action column
+            ], sub));
+            statusData.push(subStatus);
+          }
+        }
+      } else if (passesFilters_(filters, info, false)) {
+        // Folders only - no subfolders
+        const statusTag = folderStatus ? folderStatus.tag : '';
+        data.push(addStats([statusTag, info.name, info.url, folderDateFormatted, ''], info));
+        statusData.push(folderStatus);
+      } else {
+        state.filtered++;
+      }
+    } catch (e) {
+      if (e.message === STATS_PAUSED_) {
+        // The size walk ran out of time - list this folder again after the pause (finished subfolders are kept)
+        data.length = rowsBefore;
+        statusData.length = rowsBefore;
+        state.filtered = filteredBefore;
+        if (treeEntry) state.stack.push(treeEntry);
+        pause();
+        return;
+      }
+
+      // Skip inaccessible folders
+      const errorRow = ['', '(Error)', 'Could not access: ' + e.message];
+      while (errorRow.length < numCols) errorRow.push('');
+      data.push(errorRow);
+      statusData.push(null);
+    }
+
+    // Totals of a listed folder aren't needed again - full tree mode still needs its subfolders' totals
+    if (mode === MODE_TREE) {
+      dropCachedStats_(folderId, false);
+    } else {
+      Object.keys(folderStatsCache_).forEach(id => delete folderStatsCache_[id]);
+    }
+
+    if (mode !== MODE_TREE) state.currentIndex++;
+    processedThisRun++;
+
+    // Save in batches and update progress
+    if (processedThisRun % CONFIG.BATCH_SIZE === 0) {
+      state.nextRow = saveData_(sheet, data, numCols, statusData, state.nextRow);
+      data.length = 0; // Clear array
+      statusData.length = 0; // Clear status array
+
+      const totalProcessed = state.processedCount + processedThisRun;
+      updateStatus_(sheet, `🔄 Processing: ${formatProgress_(state, totalProcessed)} - "${currentFolderName}"`, '#fff3cd',
+        getProgressFraction_(state, totalProcessed));
+    }
+  }
+
+  statsPauseCheck_ = null;
+
+  // Save any remaining data
+  if (data.length > 0) {
+    saveData_(sheet, data, numCols, statusData, state.nextRow);
+  }
+
+  // Done! Clean up
+  clearProgress_(sheet);
+
+  // Auto-resize columns
+  for (let i = 1; i <= numCols; i++) {
+    sheet.autoResizeColumn(i);
+  }
+
+  state.processedCount += processedThisRun;
+
+  // Show completion status
+  finishListing_(sheet, state.filtered
+    ? `Checked ${state.totalFolders} folders, ${state.filtered} filtered out (Filters sheet)`
+    : `Listed ${state.totalFolders} folders`, silent);
+}
+
+/**
+ * Subfolders of many folders at once with the Advanced Drive service - one paged query per
+ * FOLDER_QUERY_PARENTS parents, asking only for the fields the listing needs
+ * Fills cache.children (parentId -> [child IDs], by name) and cache.meta (folderId -> { name, url, date, ownedByMe })
+ */
+function fetchChildFolders_(parentIds, cache) {
+  for (let start = 0; start < parentIds.length; start += FOLDER_QUERY_PARENTS) {
+    const batch = parentIds.slice(start, start + FOLDER_QUERY_PARENTS);
+    batch.forEach(id => { cache.children[id] = []; });
+
+    const options = {
+      q: `(${batch.map(id => `'${id}' in parents`).join(' or ')}) and mimeType = '${FOLDER_MIME_TYPE}' and trashed = false`,
+      fields: 'nextPageToken, files(id, name, modifiedTime, webViewLink, parents, ownedByMe)',
+      orderBy: 'name',
+      pageSize: 1000,
+      supportsAllDrives: true,          // Shared Drive folders too
+      includeItemsFromAllDrives: true
+    };
+    do {
+      const response = Drive.Files.list(options);
+      for (const f of response.files || []) {
+        cache.meta[f.id] = { name: f.name, url: f.webViewLink, date: new Date(f.modifiedTime), ownedByMe: !!f.ownedByMe };
+        for (const parentId of f.parents || []) {
+          if (cache.children[parentId]) cache.children[parentId].push(f.id);
+        }
+      }
+      options.pageToken = response.nextPageToken;
+    } while (options.pageToken);
+  }
+}
+
+/**
+ * Read ahead for the fast scan - fetch the folders about to be listed in one go instead of one by one
+ * - Full tree: the parents of the next folders on the stack (for their names and dates), then their subfolders
+ * - Other modes: the root's folders once per run, and the subfolders of the next top-level folders
+ */
+function prefetchFolders_(state, treeEntry, cache) {
+  const missing = ids => [...new Set(ids)].filter(id => id && !cache.children[id]);
+
+  if (treeEntry) {
+    const upcoming = [treeEntry, ...state.stack.slice(-FOLDER_QUERY_PARENTS).reverse()];
+    if (!cache.meta[treeEntry[0]]) {
+      fetchChildFolders_(missing(upcoming.filter(entry => !cache.meta[entry[0]]).map(entry => entry[3])), cache);
+    }
+    if (!cache.children[treeEntry[0]]) {
+      fetchChildFolders_(missing(upcoming.map(entry => entry[0])), cache);
+    }
+    return;
+  }
+
+  if (!cache.children[state.rootId]) fetchChildFolders_([state.rootId], cache);
+  if (state.mode === MODE_SUBFOLDERS && !cache.children[state.folderIds[state.currentIndex]]) {
+    fetchChildFolders_(missing(state.folderIds.slice(state.currentIndex, state.currentIndex + FOLDER_QUERY_PARENTS)), cache);
+  }
+}
+
+/**
+ * A folder's name, link and date: { id, name, url, date, ownedByMe?, folder } - from the fast scan's cache, or DriveApp
+ * (folder is only set by DriveApp - size and sharing columns open it when they need it)
+ */
+function getFolderInfo_(folderId, cache) {
+  if (cache) {
+    const meta = cache.meta[folderId];
+    if (!meta) throw new Error('not found (deleted, moved or no access)');
+    return { id: folderId, name: meta.name, url: meta.url, date: meta.date, ownedByMe: meta.ownedByMe };
+  }
+
+  const folder = DriveApp.getFolderById(folderId);
+  return { id: folderId, name: folder.getName(), url: folder.getUrl(), date: folder.getLastUpdated(), folder: folder };
+}
+
+/**
+ * A folder's subfolders as [{ id, name, url, date, folder }] (see getFolderInfo_)
+ */
+function getChildFolders_(info, cache) {
+  if (cache) return (cache.children[info.id] || []).map(id => getFolderInfo_(id, cache));
+
+  const children = [];
+  const subfolders = info.folder.getFolders();
+  while (subfolders.hasNext()) {
+    const sub = subfolders.next();
+    children.push({ id: sub.getId(), name: sub.getName(), url: sub.getUrl(), date: sub.getLastUpdated(), folder: sub });
+  }
+  return children;
+}
+
+/**
+ * Find a sheet tab by its ID (null if it was deleted)
+ */
+function getSheetById_(ss, sheetId) {
+  return ss.getSheets().find(s => s.getSheetId() === sheetId) || null;
+}
+
+/**
+ * Listing hit the time limit (progress is already saved)
+ * With auto-continue on, schedules the next run; otherwise asks the user to click Resume
+ * silent = running from a trigger, where alerts can't be shown
+ * stopped = Stop was clicked in the sidebar - waits for Resume even with auto-continue on
+ */
+function pauseListing_(sheet, progress, silent, stopped) {
+  if (stopped) {
+    PropertiesService.getScriptProperties().deleteProperty('STOP_REQUEST_' + sheet.getSheetId());
+    updateStatus_(sheet, `⏹️ STOPPED: ${progress} - Click Resume to continue`, '#f8d7da');
+    return;
+  }
+
+  const autoContinue = PropertiesService.getScriptProperties().getProperty('AUTO_CONTINUE') === 'true';
+
+  if (autoContinue) {
+    scheduleContinuation_();
+    updateStatus_(sheet, `⏸️ PAUSED: ${progress} - continuing automatically in ~1 min`, '#fff3cd');
+    if (!silent) {
+      sheet.getParent().toast('The listing will continue by itself - you can close the sheet.', 'Auto-Continue', 10);
+    }
+    return;
+  }
+
+  updateStatus_(sheet, `⏸️ PAUSED: ${progress} - Click Resume`, '#f8d7da');
+  if (silent || fromSidebar_) return;
+
+  const ui = SpreadsheetApp.getUi();
+  ui.alert(
+    'Paused - Time Limit',
+    `Processed ${progress}.\n\n` +
+    'Click "Resume Listing" from the menu to continue.',
+    ui.ButtonSet.OK
+  );
+}
+
+/**
+ * Listing is complete - show it in the status column, and alert (or email, when running from a trigger)
+ */
+function finishListing_(sheet, summary, silent) {
+  const props = PropertiesService.getScriptProperties();
+  props.deleteProperty('AUTO_CONTINUE_FAILURES');
+
+  // Other tabs may still have paused listings waiting for auto-continue
+  if (getPausedSheets_(sheet.getParent()).length > 0 && props.getProperty('AUTO_CONTINUE') === 'true') {
+    scheduleContinuation_();
+  } else {
+    deleteContinuationTriggers_();
+  }
+
+  updateStatus_(sheet, `✅ DONE! ${summary}`, '#d4edda', 1);
+  stampStatus_(sheet, 'Completed: ' + new Date().toLocaleString());
+
+  if (silent) {
+    sendAutoContinueEmail_('Folder listing complete', `${summary}.\n\nSheet: ${sheet.getName()}`);
+    return;
+  }
+  if (fromSidebar_) return;
+
+  const ui = SpreadsheetApp.getUi();
+  ui.alert('Complete!', `Finished! ${summary}.`, ui.ButtonSet.OK);
+}
+
+/**
+ * The root folder couldn't be opened - an alert, or an email when the listing runs by itself
+ */
+function reportRootError_(sheet, e, silent) {
+  updateStatus_(sheet, '❌ Could not access folder: ' + e.message, '#f8d7da');
+
+  if (silent) {
+    sendAutoContinueEmail_('Folder listing failed', `Could not access the root folder:\n\n${e.message}\n\nSheet: ${sheet.getName()}`);
+    return;
+  }
+  SpreadsheetApp.getUi().alert('Error: Could not access folder.\n\n' + e.message);
+}
+
+/**
+ * Format listing progress for status messages
+ * Full tree mode only knows the folders found so far, so it shows the queue instead of a percentage
+ */
+function formatProgress_(state, processed) {
+  if (state.mode === MODE_FILES) {
+    return `${processed} files (${state.stack.length} more folders queued)`;
+  }
+  if (state.mode === MODE_TREE) {
+    return `${processed} folders (${state.stack.length} more queued)`;
+  }
+  const percent = state.totalFolders ? Math.round((processed / state.totalFolders) * 100) : 100;
+  return `${processed}/${state.totalFolders} (${percent}%)`;
+}
+
+/**
+ * Listing progress as 0-1 for the sidebar's progress bar (null when the total isn't known yet)
+ * Full tree mode counts the queue as the rest, so the bar can move back when big folders are found
+ */
+function getProgressFraction_(state, processed) {
+  if (state.mode === MODE_FILES) return null;
+  if (state.mode === MODE_TREE) return processed / Math.max(processed + state.stack.length, 1);
+  return state.totalFolders ? processed / state.totalFolders : 1;
+}
+
+/**
+ * Has Stop been clicked in the sidebar since this run started? (checked every few seconds, not every folder)
+ */
+function isStopRequested_(sheet, startTime) {
+  if (Date.now() - stopCheckedAt_ < STOP_CHECK_MS) return false;
+  stopCheckedAt_ = Date.now();
+  const requestedAt = Number(PropertiesService.getScriptProperties().getProperty('STOP_REQUEST_' + sheet.getSheetId()) || 0);
+  return requestedAt > startTime;
+}
+
+/**
+ * List every file under the root folder (all levels) with timeout protection
+ * Saves its place inside a folder's file list too, since one folder can hold thousands of files
+ */
+function processAllFiles_(sheet, rootFolderId, silent) {
+  const startTime = Date.now();
+  const stateKey = stateKey_('PROCESS_STATE', sheet);
+
+  // Get or initialize state
+  let state = loadState_(stateKey);
+
+  if (!state) {
+    let rootFolder;
+    try {
+      rootFolder = rootFolderId ? DriveApp.getFolderById(rootFolderId) : DriveApp.getRootFolder();
+    } catch (e) {
+      reportRootError_(sheet, e, silent);
+      return;
+    }
+
+    updateStatus_(sheet, '⏳ Scanning files...', '#fff3cd');
+
+    state = {
+      mode: MODE_FILES,
+      stack: [[rootFolder.getId(), '']],  // Folders still to visit: [folderId, path]
+      current: null,                       // Folder being listed: { path, token }
+      processedCount: 0,
+      nextRow: 2                           // Next sheet row to write
+    };
+  }
+  if (!state.nextRow) state.nextRow = findNextRow_(sheet);  // Progress saved by older versions
+
+  // Status, Parent Path, File Name, Type, Size, Size (Bytes), Owner, Created, Modified, URL, Action (11 cols)
+  const numCols = getHeadersForMode_(MODE_FILES).length;
+  const data = [];
+  const statusData = [];
+  let processedThisRun = 0;
+  let files = null;  // File iterator for state.current
+
+  while (state.current || state.stack.length > 0) {
+    // Check if we're running out of time (or Stop was clicked in the sidebar)
+    const stopped = isStopRequested_(sheet, startTime);
+    if (stopped || Date.now() - startTime > CONFIG.MAX_RUNTIME_MS) {
+      // Remember where we are in the current folder's file list
+      if (files) state.current.token = files.getContinuationToken();
+
+      state.nextRow = saveData_(sheet, data, numCols, statusData, state.nextRow);
+      state.processedCount += processedThisRun;
+      saveState_(stateKey, state);
+
+      pauseListing_(sheet, formatProgress_(state, state.processedCount), silent, stopped);
+      return;
+    }
+
+    // Start the next folder - queue its subfolders and open its file list
+    if (!state.current) {
+      const entry = state.stack.pop();
+      const path = entry[1];
+      try {
+        const folder = DriveApp.getFolderById(entry[0]);
+        const children = [];
+        const subfolders = folder.getFolders();
+        while (subfolders.hasNext()) {
+          const sub = subfolders.next();
+          children.push([sub.getId(), joinPath_(path, sub.getName())]);
+        }
+        for (let i = children.length - 1; i >= 0; i--) {
+          state.stack.push(children[i]);
+        }
+        files = folder.getFiles();
+        state.current = { path: path, token: null };
+      } catch (e) {
+        const errorRow = ['', path || '(root)', 'Could not access: ' + e.message];
+        while (errorRow.length < numCols) errorRow.push('');
+        data.push(errorRow);
+        statusData.push(null);
+      }
+      continue;
+    }
+
+    // Resuming in the middle of a folder
+    if (!files) {
+      try {
+        files = DriveApp.continueFileIterator(state.current.token);
+      } catch (e) {
+        const errorRow = ['', state.current.path || '(root)', 'Could not continue listing: ' + e.message];
+        while (errorRow.length < numCols) errorRow.push('');
+        data.push(errorRow);
+        statusData.push(null);
+        state.current = null;
+        continue;
+      }
+    }
+
+    if (!files.hasNext()) {
+      state.current = null;
+      files = null;
+      continue;
+    }
+
+    const file = files.next();
+    try {
+      const created = file.getDateCreated();
+      const modified = file.getLastUpdated();
+      const fileStatus = getStatusTag_(created, modified);
+      const owner = file.getOwner();  // null for files on Shared Drives
+      const size = file.getSize();
+      data.push([
+        fileStatus ? fileStatus.tag : '',
+        state.current.path || '(root)',
+        file.getName(),
+        file.getMimeType(),
+        formatBytes_(size),
+        size,
+        owner ? owner.getEmail() : '',
+        formatDate_(created),
+        formatDate_(modified),
+        file.getUrl(),
+        ''  // Action column
+      ]);
+      statusData.push(fileStatus);
+    } catch (e) {
+      const errorRow = ['', state.current.path || '(root)', 'Could not read file: ' + e.message];
+      while (errorRow.length < numCols) errorRow.push('');
+      data.push(errorRow);
+      statusData.push(null);
+    }
+
+    processedThisRun++;
+
+    // Save in batches and update progress
+    if (processedThisRun % CONFIG.FILE_BATCH_SIZE === 0) {
+      state.nextRow = saveData_(sheet, data, numCols, statusData, state.nextRow);
+      data.length = 0;
+      statusData.length = 0;
+
+      const totalProcessed = state.processedCount + processedThisRun;
+      updateStatus_(sheet, `🔄 Processing: ${formatProgress_(state, totalProcessed)} - "${state.current.path || '(root)'}"`, '#fff3cd',
+        getProgressFraction_(state, totalProcessed));
+    }
+  }
+
+  // Save any remaining data
+  if (data.length > 0) {
+    saveData_(sheet, data, numCols, statusData, state.nextRow);
+  }
+
+  // Done! Clean up
+  clearProgress_(sheet);
+
+  for (let i = 1; i <= numCols; i++) {
+    sheet.autoResizeColumn(i);
+  }
+
+  state.processedCount += processedThisRun;
+
+  finishListing_(sheet, `Listed ${state.processedCount} files`, silent);
+}
+
+/**
+ * Setup sheet with headers
+ */
+function setupSheet_(mode, withStats, withSharing) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  sheet.clear();
+
+  const headers = getHeadersForMode_(mode, withStats, withSharing);
+
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+
+  // Setup status area header (column G, or right after Action on wider sheets)
+  const statusCol = Math.max(STATUS_COL, headers.length + 1);
+  statusColCache_[sheet.getSheetId()] = statusCol;
+  updateStatus_(sheet, '⏳ Starting...', '#fff3cd');
+  if (!isStatusInSheet_()) return sheet;
+
+  sheet.setColumnWidth(statusCol, 300);
+  writeInstructions_(sheet, statusCol);
+
+  return sheet;
+}
+
+/**
+ * Write the usage instructions below the status cell (the status tag lines come from the Settings rules)
+ * Only when isStatusInSheet_() - otherwise the sidebar's Help shows them
+ */
+function writeInstructions_(sheet, statusCol) {
+  if (!isStatusInSheet_()) return;
+
+  const instructions = [
+    ['📌 STATUS COLUMN:'],
+    ...getStatusRules_().map(rule => [describeStatusRule_(rule)]),
+    ['(Menu → Settings to change)'],
+    [''],
+    ['📋 HOW TO FIND EMPTY FOLDERS:'],
+    ['1. Menu → Find Empty Folders'],
+    ['2. Empty folders get marked'],
+    [''],
+    ['📋 HOW TO REMOVE:'],
+    ['• Menu → Remove Empty Folders'],
+    ['• Or type "Remove" in Action'],
+    ['   then → Remove Marked Folders'],
+    [''],
+    ['📌 ACTION COLUMN VALUES:'],
+    ['"Remove"/"Delete"/"X" = delete (folders or files)'],
+    ['"Unshare"/"Make private" = sharing'],
+    ['   → Apply Sharing Actions'],
+    ['"Move → folder ID or path"'],
+    ['"Rename → new name"'],
+    ['"Archive" / "Star"'],
+    ['   → Apply Actions'],
+    ['"📭 Empty" = no files found'],
+    ['"❔ Too deep" = not sure, check it']
+  ];
+
+  // Clear the old block first - the number of status lines depends on the rules
+  sheet.getRange(3, statusCol, Math.max(INSTRUCTIONS_MAX_ROWS, instructions.length), 1).clearContent().setFontWeight('normal');
+  sheet.getRange(3, statusCol, instructions.length, 1).setValues(instructions);
+  instructions.forEach((line, i) => {
+    if (/^(📌|📋)/.test(line[0])) sheet.getRange(3 + i, statusCol).setFontWeight('bold');  // Section titles
+  });
+}
+
+/**
+ * Append data to sheet and apply status colors
+ * startRow: where to write (listings keep track of it) - found from column B if left out
+ * Returns the row after the last one written
+ */
+function saveData_(sheet, data, numCols, statusData, startRow) {
+  if (!startRow) startRow = findNextRow_(sheet);
+  if (data.length === 0) return startRow;
+
+  sheet.getRange(startRow, 1, data.length, numCols).setValues(data);
+
+  // Apply status colors to column A (Status column)
+  if (statusData && statusData.length > 0) {
+    for (let i = 0; i < statusData.length; i++) {
+      if (statusData[i] && statusData[i].color) {
+        sheet.getRange(startRow + i, 1).setBackground(statusData[i].color);
+      }
+    }
+  }
+
+  applySharingColors_(sheet, startRow, data);
+  return startRow + data.length;
+}
+
+/**
+ * First empty row after the data, going by column B (Folder Name) - the instruction text
+ * in the status column would throw getLastRow() off
+ */
+function findNextRow_(sheet) {
+  const colBValues = sheet.getRange('B:B').getValues();
+  for (let i = colBValues.length - 1; i >= 0; i--) {
+    if (colBValues[i][0] !== '') return i + 2;
+  }
+  return 2; // Right after the header
+}
+
+/**
+ * Clear a tab's saved listing progress
+ * The root folder and mode are kept - Update List and Auto-Update need them after the listing is done
+ */
+function clearProgress_(sheet) {
+  deleteState_(stateKey_('PROCESS_STATE', sheet));
+  PropertiesService.getScriptProperties().deleteProperty('INCLUDE_SUBFOLDERS'); // Older versions
+}
+
+/**
+ * Reset this tab's progress (and the Find Duplicates scan) if something goes wrong
+ * Other tabs keep their paused listings
+ */
+function resetAndStartOver() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getActiveSheet();
+  getSheetConfig_(sheet); // Moves settings from older versions onto their tab first
+
+  clearProgress_(sheet);
+  clearSyncProgress_(sheet);
+  deleteState_(stateKey_('EMPTY_SCAN_STATE', sheet));
+  deleteState_('DUPLICATE_STATE');
+  if (getPausedSheets_(ss).length === 0) deleteContinuationTriggers_();
+
+  SpreadsheetApp.getUi().alert(`Progress cleared for "${sheet.getName()}". You can now start fresh with "List Folders".`);
+}
+
+/**
+ * Check if a folder is empty (recursively checks subfolders too, up to CONFIG.EMPTY_CHECK_DEPTH levels)
+ * Returns: 'empty' | 'has_files' | 'empty_tree' (has subfolders but all are empty)
+ *        | 'too_deep' (no files found, but some subfolders go deeper than the limit)
+ */
+function checkFolderEmpty_(folder, depth = 0) {
+  const hasFiles = folder.getFiles().hasNext();
+  if (hasFiles) {
+    return 'has_files';
+  }
+
+  const subfolders = folder.getFolders();
+  if (!subfolders.hasNext()) {
+    // No files and no subfolders = completely empty
+    return 'empty';
+  }
+
+  // Has subfolders - check if they're all empty
+  if (depth >= CONFIG.EMPTY_CHECK_DEPTH) {
+    // Too deep to check - can't say it's empty
+    return 'too_deep';
+  }
+
+  let tooDeep = false;
+  while (subfolders.hasNext()) {
     const sub = subfolders.next();
     const subStatus = checkFolderEmpty_(sub, depth + 1);
     if (subStatus === 'has_files') {
       return 'has_files';
     }
+    if (subStatus === 'too_deep') {
+      tooDeep = true;
+    }
+  }
+
+  // All subfolders are empty (as far as we could see)
+  return tooDeep ? 'too_deep' : 'empty_tree';
+}
+
+/**
+ * Scan folders and mark empty ones (no files) in the Action column
+ * Saves its place when it hits the time limit - continue with "Resume Empty Folder Scan"
+ */
+function markEmptyFolders() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  const ui = SpreadsheetApp.getUi();
+
+  // Find columns dynamically from headers
+  const headers = getHeaderRow_(sheet);
+
+  const actionCol = headers.indexOf('Action') + 1;
+  if (actionCol === 0) {
+    ui.alert('Error', 'Could not find Action column. Please re-run the folder listing.', ui.ButtonSet.OK);
+    return;
+  }
+
+  // Find URL column (either "Folder URL" or "Subfolder URL")
+  let urlCol = headers.indexOf('Folder URL') + 1;
+  if (urlCol === 0) {
+    urlCol = headers.indexOf('Subfolder URL') + 1;
+  }
+  if (urlCol === 0) {
+    ui.alert('Error', 'Could not find URL column. Please re-run the folder listing.', ui.ButtonSet.OK);
+    return;
+  }
+
+  // Get all data (skip header row)
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1) {
+    ui.alert('No data', 'No folders to scan.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const rowCount = lastRow - 1;
+  const filters = loadFilters_(sheet);
+  if (!checkFilterRules_(ui, filters)) return;
+
+  // Confirm with user
+  const confirmResponse = ui.alert(
+    'Scan for Empty Folders',
+    `This will scan ${rowCount} folder(s) and check if they're empty.\n\n` +
+    '• Checks for files in the folder\n' +
+    `• Also checks subfolders recursively (up to ${CONFIG.EMPTY_CHECK_DEPTH} levels)\n` +
+    (filters.active ? '• Skips rows the Filters sheet leaves out\n' : '') +
+    '• May take a while for large lists - it pauses and can be resumed\n\nContinue?',
+    ui.ButtonSet.YES_NO
+  );
+
+  if (confirmResponse !== ui.Button.YES) {
+    return;
+  }
+
+  const state = {
+    nextIndex: 0,     // Next data row to scan (0 = row 2)
+    scanned: 0,
+    emptyCount: 0,
+    emptyTreeCount: 0,
+    tooDeepCount: 0,
+    filteredCount: 0,
+    errorCount: 0
+  };
+
+  updateStatus_(sheet, `🔍 Scanning ${rowCount} folders (checking subfolders too)...`, '#fff3cd');
+  processEmptyFolderScan_(sheet, state);
+}
+
+/**
+ * Resume a paused empty folder scan
+ */
+function resumeEmptyFolderScan() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  migrateLegacySettings_(ss);
+
+  // This tab's scan, or the only paused scan on another tab
+  let sheet = ss.getActiveSheet();
+  if (!hasState_(stateKey_('EMPTY_SCAN_STATE', sheet))) {
+    const paused = ss.getSheets().filter(s => hasState_(stateKey_('EMPTY_SCAN_STATE', s)));
+    if (paused.length !== 1) {
+      ui.alert('Nothing to resume on this tab. Run "Find Empty Folders" first.' +
+        (paused.length ? `\n\nPaused scans on other tabs: ${paused.map(s => s.getName()).join(', ')}` : ''));
+      return;
+    }
+    sheet = paused[0];
+    ss.setActiveSheet(sheet);
+  }
+
+  processEmptyFolderScan_(sheet, loadState_(stateKey_('EMPTY_SCAN_STATE', sheet)));
+}
+
+/**
+ * Scan rows for empty folders from state.nextIndex on, with timeout protection
+ * Action markers are written in batches, not one cell at a time
+ */
+function processEmptyFolderScan_(sheet, state) {
+  const startTime = Date.now();
+  const ui = SpreadsheetApp.getUi();
+
+  const headers = getHeaderRow_(sheet);
+  const actionCol = headers.indexOf('Action') + 1;
+  let urlCol = headers.indexOf('Folder URL') + 1;
+  if (urlCol === 0) {
+    urlCol = headers.indexOf('Subfolder URL') + 1;
+  }
+
+  const lastRow = sheet.getLastRow();
+  const data = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, actionCol).getValues() : [];
+  const actions = data.map(row => [row[actionCol - 1]]);
+
+  // Write the Action markers from batchStart up to (not including) end
+  let batchStart = state.nextIndex;
+  const flush = end => {
+    if (end <= batchStart) return;
+    sheet.getRange(batchStart + 2, actionCol, end - batchStart, 1).setValues(actions.slice(batchStart, end));
+    batchStart = end;
+  };
+
+  const isOurMarker = action => action.startsWith('📭 Empty') || action.startsWith('❔ Too deep');
+
+  // Rows the Filters sheet leaves out aren't checked (or marked) - the same rules as the listing
+  const filters = loadFilters_(sheet);
+  if (filters.errors.length > 0) {
+    updateStatus_(sheet, '❌ Fix the Filters sheet, then Resume Empty Folder Scan: ' + filters.errors[0], '#f8d7da');
+    if (!fromSidebar_) checkFilterRules_(ui, filters);
+    return;
+  }
+  state.filteredCount = state.filteredCount || 0;
+  const skipFiltered = i => {
+    state.filteredCount++;
+    if (isOurMarker(String(actions[i][0] || ''))) actions[i][0] = '';  // So Remove Empty Folders leaves it alone
+  };
+
+  while (state.nextIndex < data.length) {
+    // Check if we're running out of time
+    if (Date.now() - startTime > CONFIG.MAX_RUNTIME_MS) {
+      flush(state.nextIndex);
+      saveState_(stateKey_('EMPTY_SCAN_STATE', sheet), state);
+
+      const percent = Math.round((state.nextIndex / data.length) * 100);
+      updateStatus_(sheet, `⏸️ PAUSED: Scanned ${state.nextIndex}/${data.length} (${percent}%) - Click Resume Empty Folder Scan`, '#f8d7da');
+      ui.alert(
+        'Paused - Time Limit',
+        `Scanned ${state.nextIndex} of ${data.length} folders (${percent}%).\n\n` +
+        'Click "Resume Empty Folder Scan" from the menu to continue.',
+        ui.ButtonSet.OK
+      );
+      return;
+    }
+
+    const i = state.nextIndex;
+    state.nextIndex++;
+    state.scanned++;
+
+    const url = data[i][urlCol - 1];
+    const currentAction = (actions[i][0] || '').toString().trim();
+
+    // Skip rows that are already marked as removed, have errors, or whose folder is gone
+    if (currentAction.includes('Removed') || currentAction.includes('Error') || !url || String(data[i][0]).startsWith(GONE_TAG)) {
+      continue;
+    }
+
+    // Skip rows without valid Drive URLs
+    if (!url.includes('drive.google.com')) {
+      continue;
+    }
+
+    // Extract folder ID from URL
+    const match = url.match(/folders\/([a-zA-Z0-9_-]+)/);
+    if (!match) {
+      continue;
+    }
+
+    if (filters.active && (String(data[i][0]).startsWith(FILTERED_TAG) || checkPathFilters_(filters, getRowPath_(headers, data[i])))) {
+      skipFiltered(i);
+      continue;
+    }
+
+    try {
+      const folder = DriveApp.getFolderById(match[1]);
+      if (filters.active && !passesFilters_(filters, { folder: folder, id: match[1], name: folder.getName(), date: folder.getLastUpdated() }, true)) {
+        skipFiltered(i);
+        continue;
+      }
+      const status = checkFolderEmpty_(folder);
+
+      if (status === 'empty') {
+        actions[i][0] = '📭 Empty';
+        state.emptyCount++;
+      } else if (status === 'empty_tree') {
+        actions[i][0] = '📭 Empty (subfolders empty too)';
+        state.emptyTreeCount++;
+      } else if (status === 'too_deep') {
+        actions[i][0] = `❔ Too deep to tell (> ${CONFIG.EMPTY_CHECK_DEPTH} levels)`;
+        state.tooDeepCount++;
+      } else if (isOurMarker(currentAction)) {
+        // Has files now - clear an old marker so Remove Empty Folders won't touch it
+        actions[i][0] = '';
+      }
+      // Otherwise leave Action column as is
+
+    } catch (e) {
+      state.errorCount++;
+    }
+
+    // Write markers and update progress every 10 folders
+    if (state.scanned % 10 === 0) {
+      flush(state.nextIndex);
+      const totalEmpty = state.emptyCount + state.emptyTreeCount;
+      updateStatus_(sheet, `🔍 Scanned ${state.nextIndex}/${data.length} (${totalEmpty} empty)...`, '#fff3cd',
+        state.nextIndex / data.length);
+    }
+  }
+
+  flush(data.length);
+  deleteState_(stateKey_('EMPTY_SCAN_STATE', sheet));
+
+  // Show completion
+  const totalEmpty = state.emptyCount + state.emptyTreeCount;
+  const tooDeepLine = (state.tooDeepCount ? `❔ Too deep to tell: ${state.tooDeepCount}\n` : '') +
+    (state.filteredCount ? `🔎 Skipped (Filters sheet): ${state.filteredCount}\n` : '');
+  if (state.errorCount === 0) {
+    updateStatus_(sheet, `✅ Scan complete: ${totalEmpty} empty folder(s) found`, '#d4edda');
+    ui.alert('Scan Complete',
+      `Scanned ${data.length} folder(s).\n\n` +
+      `📭 Completely empty: ${state.emptyCount}\n` +
+      `📭 Empty (with empty subfolders): ${state.emptyTreeCount}\n` +
+      tooDeepLine + '\n' +
+      'Empty folders are marked in the Action column.\n' +
+      'Change the marker to "Remove" to delete them.',
+      ui.ButtonSet.OK);
+  } else {
+    updateStatus_(sheet, `✅ Scan done: ${totalEmpty} empty, ${state.errorCount} errors`, '#fff3cd');
+    ui.alert('Scan Complete',
+      `Scanned ${data.length} folder(s).\n\n` +
+      `📭 Completely empty: ${state.emptyCount}\n` +
+      `📭 Empty (with empty subfolders): ${state.emptyTreeCount}\n` +
+      tooDeepLine +
+      `⚠️ Errors (couldn't access): ${state.errorCount}\n\n` +
+      'Empty folders are marked in the Action column.',
+      ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Rows a Remove command would act on
+ * kind: 'marked' ("Remove", "Delete" or "X" in Action) or 'empty' (📭 Empty markers, folders only)
+ * Returns: { actionCol, items: [{ row, name, folderId, isFile, url, path, action, color, command }] } or { error: { title, message } }
+ */
+function getRemovalCandidates_(sheet, kind) {
+  const headers = getHeaderRow_(sheet);
+
+  const actionCol = headers.indexOf('Action') + 1;
+  if (actionCol === 0) {
+    return { error: { title: 'Error', message: 'Could not find Action column. Please re-run the folder listing.' } };
+  }
+  const urlCol = getUrlCol_(headers);
+  if (urlCol === 0) {
+    return { error: { title: 'Error', message: 'Could not find URL column. Please re-run the folder listing.' } };
+  }
+  const nameCol = getNameCol_(headers) || 1;
+
+  // Get all data (skip header row)
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1) {
+    return { error: { title: 'No data', message: 'No folders to process.' } };
+  }
+
+  const data = sheet.getRange(2, 1, lastRow - 1, actionCol).getValues();
+  const statusColors = sheet.getRange(2, 1, lastRow - 1, 1).getBackgrounds();
+  const items = [];
+
+  for (let i = 0; i < data.length; i++) {
+    const action = (data[i][actionCol - 1] || '').toString().trim();
+    const url = String(data[i][urlCol - 1] || '');
+    if (!url) continue;
+
+    let marked;
+    if (kind === 'empty') {
+      // Empty markers only ever go on folder rows
+      marked = action.includes('📭 Empty') && url.includes('/folders/');
+    } else {
+      marked = ['remove', 'delete', 'x'].includes(action.toLowerCase());
+    }
+
+    // Extract folder (or file) ID from URL - file rows come from List Files or Find Duplicates
+    const itemId = marked ? getIdFromUrl_(url) : null;
+    if (!itemId) continue;
+
+    items.push({
+      row: i + 2, // Actual row number (1-indexed, after header)
+      name: data[i][nameCol - 1],
+      folderId: itemId,
+      isFile: !url.includes('/folders/'),
+      url: url,
+      path: getRowPath_(headers, data[i]),
+      action: action,
+      color: statusColors[i][0],
+      command: kind === 'empty' ? 'Remove Empty Folders' : 'Remove Marked Folders'
+    });
+  }
+
+  return { actionCol: actionCol, items: items };
+}
+
+/**
+ * Remove folders (or files, on a List Files sheet) marked with "Remove", "Delete", or "X" in the Action column
+ * Moves them to Trash (recoverable for 30 days)
+ */
+function removeMarkedFolders() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getActiveSheet();
+  const ui = SpreadsheetApp.getUi();
+
+  const candidates = getRemovalCandidates_(sheet, 'marked');
+  if (candidates.error) {
+    ui.alert(candidates.error.title, candidates.error.message, ui.ButtonSet.OK);
+    return;
+  }
+  const actionCol = candidates.actionCol;
+
+  const protection = loadProtection_(ss);
+  if (!checkProtectionRules_(ui, protection)) return;
+
+  const foldersToRemove = skipProtected_(sheet, actionCol, candidates.items, protection);
+  const skipped = candidates.items.length - foldersToRemove.length;
+
+  if (foldersToRemove.length === 0 && skipped > 0) {
+    ui.alert('All protected', `All ${skipped} marked item(s) are protected - see the 🛡️ Protected rows.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  if (foldersToRemove.length === 0) {
+    ui.alert('No folders marked',
+      'No folders found with "Remove", "Delete", or "X" in the Action column.\n\n' +
+      'To remove folders:\n' +
+      '1. Type "Remove" (or "Delete" or "X") in the Action column for folders you want to delete\n' +
+      '2. Run this function again',
+      ui.ButtonSet.OK);
+    return;
+  }
+
+  // Confirm with user
+  const confirmResponse = ui.alert(
+    'Confirm Removal',
+    `Found ${foldersToRemove.length} folder(s) marked for removal:\n\n` +
+    foldersToRemove.slice(0, 10).map(f => `• ${f.name}`).join('\n') +
+    (foldersToRemove.length > 10 ? `\n... and ${foldersToRemove.length - 10} more` : '') +
+    '\n\nThese folders will be moved to Trash (recoverable for 30 days).' +
+    getSharedDriveNote_(sheet) +
+    (skipped > 0 ? `\n\n🛡️ Skipping ${skipped} protected item(s).` : '') +
+    '\n\nContinue?',
+    ui.ButtonSet.YES_NO
+  );
+
+  if (confirmResponse !== ui.Button.YES) {
+    return;
+  }
+
+  // Update status
+  updateStatus_(sheet, `🗑️ Removing ${foldersToRemove.length} folders...`, '#fff3cd');
+
+  let removed = 0;
+  let errors = 0;
+  const errorMessages = [];
+  const logged = [];
+
+  for (const folder of foldersToRemove) {
+    try {
+      setItemTrashed_(folder.folderId, folder.isFile, true);
+      logged.push(folder);
+
+      // Mark the row as removed
+      sheet.getRange(folder.row, actionCol).setValue('✓ Removed');
+      sheet.getRange(folder.row, 1, 1, actionCol).setBackground('#f0f0f0'); // Gray out row
+
+      removed++;
+
+      // Update progress every 5 folders
+      if (removed % 5 === 0) {
+        updateStatus_(sheet, `🗑️ Removed ${removed}/${foldersToRemove.length} folders...`, '#fff3cd',
+          removed / foldersToRemove.length);
+      }
+    } catch (e) {
+      errors++;
+      errorMessages.push(`${folder.name}: ${e.message}`);
+      sheet.getRange(folder.row, actionCol).setValue('⚠️ Error');
+    }
+  }
+
+  logRemovals_(sheet, logged, 'Remove Marked Folders');
+
+  // Show completion status
+  if (errors === 0) {
+    updateStatus_(sheet, `✅ Removed ${removed} folder(s) to Trash`, '#d4edda');
+    ui.alert('Complete!', `Successfully moved ${removed} folder(s) to Trash.\n\n` +
+      'Undo from the "Removal Log" sheet: select rows → Menu → Restore Selected.', ui.ButtonSet.OK);
+  } else {
+    updateStatus_(sheet, `⚠️ Removed ${removed}, ${errors} error(s)`, '#f8d7da');
+    ui.alert('Completed with errors',
+      `Removed: ${removed}\nErrors: ${errors}\n\n` +
+      errorMessages.slice(0, 5).join('\n') +
+      (errorMessages.length > 5 ? `\n... and ${errorMessages.length - 5} more errors` : ''),
+      ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Remove all folders marked as empty (📭 Empty) in the Action column
+ * Moves folders to Trash (recoverable for 30 days)
+ */
+function removeEmptyFolders() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getActiveSheet();
+  const ui = SpreadsheetApp.getUi();
+
+  const candidates = getRemovalCandidates_(sheet, 'empty');
+  if (candidates.error) {
+    ui.alert(candidates.error.title, candidates.error.message, ui.ButtonSet.OK);
+    return;
+  }
+  const actionCol = candidates.actionCol;
+
+  const protection = loadProtection_(ss);
+  if (!checkProtectionRules_(ui, protection)) return;
+
+  const foldersToRemove = skipProtected_(sheet, actionCol, candidates.items, protection);
+  const skipped = candidates.items.length - foldersToRemove.length;
+
+  if (foldersToRemove.length === 0 && skipped > 0) {
+    ui.alert('All protected', `All ${skipped} empty folder(s) are protected - see the 🛡️ Protected rows.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  if (foldersToRemove.length === 0) {
+    ui.alert('No empty folders found',
+      'No folders marked as empty (📭 Empty) in the Action column.\n\n' +
+      'Run "Find Empty Folders" first to scan and mark empty folders.',
+      ui.ButtonSet.OK);
+    return;
+  }
+
+  // Confirm with user
+  const confirmResponse = ui.alert(
+    'Remove Empty Folders',
+    `Found ${foldersToRemove.length} empty folder(s) to remove:\n\n` +
+    foldersToRemove.slice(0, 10).map(f => `• ${f.name}`).join('\n') +
+    (foldersToRemove.length > 10 ? `\n... and ${foldersToRemove.length - 10} more` : '') +
+    '\n\nThese folders will be moved to Trash (recoverable for 30 days).' +
+    getSharedDriveNote_(sheet) +
+    (skipped > 0 ? `\n\n🛡️ Skipping ${skipped} protected item(s).` : '') +
+    '\n\nContinue?',
+    ui.ButtonSet.YES_NO
+  );
+
+  if (confirmResponse !== ui.Button.YES) {
+    return;
+  }
+
+  // Update status
+  updateStatus_(sheet, `🗑️ Removing ${foldersToRemove.length} empty folders...`, '#fff3cd');
+
+  let removed = 0;
+  let errors = 0;
+  const errorMessages = [];
+  const logged = [];
+
+  for (const folder of foldersToRemove) {
+    try {
+      setItemTrashed_(folder.folderId, false, true);
+      logged.push(folder);
+
+      // Mark the row as removed
+      sheet.getRange(folder.row, actionCol).setValue('✓ Removed');
+      sheet.getRange(folder.row, 1, 1, actionCol).setBackground('#f0f0f0');
+
+      removed++;
+
+      if (removed % 5 === 0) {
+        updateStatus_(sheet, `🗑️ Removed ${removed}/${foldersToRemove.length} empty folders...`, '#fff3cd',
+          removed / foldersToRemove.length);
+      }
+    } catch (e) {
+      errors++;
+      errorMessages.push(`${folder.name}: ${e.message}`);
+      sheet.getRange(folder.row, actionCol).setValue('⚠️ Error');
+    }
+  }
+
+  logRemovals_(sheet, logged, 'Remove Empty Folders');
+
+  // Show completion status
+  if (errors === 0) {
+    updateStatus_(sheet, `✅ Removed ${removed} empty folder(s) to Trash`, '#d4edda');
+    ui.alert('Complete!', `Successfully moved ${removed} empty folder(s) to Trash.\n\n` +
+      'Undo from the "Removal Log" sheet: select rows → Menu → Restore Selected.', ui.ButtonSet.OK);
+  } else {
+    updateStatus_(sheet, `⚠️ Removed ${removed}, ${errors} error(s)`, '#f8d7da');
+    ui.alert('Completed with errors',
+      `Removed: ${removed}\nErrors: ${errors}\n\n` +
+      errorMessages.slice(0, 5).join('\n') +
+      (errorMessages.length > 5 ? `\n... and ${errorMessages.length - 5} more errors` : ''),
+      ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Email of whoever is running the script (blank for some consumer accounts, so fall back)
+ */
+function getCurrentUserEmail_() {
+  try {
+    return Session.getActiveUser().getEmail() || Session.getEffectiveUser().getEmail() || 'unknown';
+  } catch (e) {
+    return 'unknown';
+  }
+}
+
+/**
+ * Get (or create) the Removal Log sheet
+ */
+function getRemovalLogSheet_(ss) {
+  let sheet = ss.getSheetByName(REMOVAL_LOG_SHEET);
+  if (sheet) return sheet;
+
+  sheet = ss.insertSheet(REMOVAL_LOG_SHEET);
+  sheet.getRange(1, 1, 1, REMOVAL_LOG_HEADERS.length).setValues([REMOVAL_LOG_HEADERS]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+  sheet.hideColumns(REMOVAL_LOG_HEADERS.indexOf('Row Color') + 1); // Only needed to undo the gray-out
+  return sheet;
+}
+
+/**
+ * Append removed items to the Removal Log
+ * items: [{ name, folderId, isFile, url, path, action, color }] from the Remove commands
+ */
+function logRemovals_(sourceSheet, items, command) {
+  if (items.length === 0) return;
+
+  const logSheet = getRemovalLogSheet_(sourceSheet.getParent());
+  const who = getCurrentUserEmail_();
+  const now = new Date();
+
+  const rows = items.map(item => [
+    now, item.isFile ? 'File' : 'Folder', item.name, item.path, item.folderId, item.url, who, command,
+    sourceSheet.getName(), item.action, item.color, ''
+  ]);
+  logSheet.getRange(logSheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+}
+
+/**
+ * Restore the rows selected on the Removal Log sheet
+ * Takes each item out of Trash and puts its listing row back the way it was
+ */
+function restoreSelected() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getActiveSheet();
+  const ui = SpreadsheetApp.getUi();
+
+  if (sheet.getName() !== REMOVAL_LOG_SHEET) {
+    ui.alert('Open the Removal Log',
+      `Go to the "${REMOVAL_LOG_SHEET}" sheet, select the rows to restore, then run Restore Selected again.`,
+      ui.ButtonSet.OK);
+    return;
+  }
+
+  // Collect selected rows (any cell in a row selects it; multiple ranges allowed)
+  const rowNumbers = new Set();
+  const rangeList = sheet.getActiveRangeList();
+  for (const range of (rangeList ? rangeList.getRanges() : [])) {
+    for (let r = range.getRow(); r < range.getRow() + range.getNumRows(); r++) {
+      if (r > 1 && r <= sheet.getLastRow()) rowNumbers.add(r);
+    }
+  }
+
+  const col = name => REMOVAL_LOG_HEADERS.indexOf(name);
+  const toRestore = [];
+  for (const r of rowNumbers) {
+    const values = sheet.getRange(r, 1, 1, REMOVAL_LOG_HEADERS.length).getValues()[0];
+    if (!values[col('ID')]) continue;
+    if (values[col('Restored At')] instanceof Date) continue; // Already restored
+    toRestore.push({ row: r, values: values });
+  }
+
+  if (toRestore.length === 0) {
+    ui.alert('Nothing to restore', 'Select one or more Removal Log rows that have not been restored yet.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const confirmResponse = ui.alert(
+    'Restore Selected',
+    `Restore ${toRestore.length} item(s) from Trash?\n\n` +
+    toRestore.slice(0, 10).map(item => `• ${item.values[col('Name')]}`).join('\n') +
+    (toRestore.length > 10 ? `\n... and ${toRestore.length - 10} more` : ''),
+    ui.ButtonSet.YES_NO
+  );
+  if (confirmResponse !== ui.Button.YES) return;
+
+  let restored = 0;
+  const errorMessages = [];
+
+  for (const item of toRestore) {
+    const v = item.values;
+    const id = String(v[col('ID')]);
+    try {
+      setItemTrashed_(id, v[col('Type')] === 'File', false);
+      sheet.getRange(item.row, col('Restored At') + 1).setValue(new Date());
+      restoreListingRow_(ss.getSheetByName(v[col('Listing Sheet')]), id, v[col('Previous Action')], v[col('Row Color')]);
+      restored++;
+    } catch (e) {
+      // Permanently deleted (Trash emptied / 30 days passed), no access, or not a Shared Drive manager
+      errorMessages.push(`${v[col('Name')]}: ${e.message}`);
+      sheet.getRange(item.row, col('Restored At') + 1).setValue('⚠️ ' + e.message);
+    }
+  }
+
+  if (errorMessages.length === 0) {
+    ui.alert('Restored!', `Restored ${restored} item(s) from Trash.`, ui.ButtonSet.OK);
+  } else {
+    ui.alert('Completed with errors',
+      `Restored: ${restored}\nErrors: ${errorMessages.length}\n\n` +
+      errorMessages.slice(0, 5).join('\n') +
+      (errorMessages.length > 5 ? `\n... and ${errorMessages.length - 5} more errors` : ''),
+      ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Put a listing row back after a restore - Action text and status color, gray-out removed
+ * Finds the row by ID (rows may have moved since the removal); does nothing if the sheet or row is gone
+ */
+function restoreListingRow_(sheet, id, action, color) {
+  if (!sheet || sheet.getLastRow() <= 1) return;
+
+  const headers = getHeaderRow_(sheet);
+  const urlCol = getUrlCol_(headers);
+  const actionCol = headers.indexOf('Action') + 1;
+  if (urlCol === 0 || actionCol === 0) return;
+
+  const urls = sheet.getRange(2, urlCol, sheet.getLastRow() - 1, 1).getValues();
+  for (let i = 0; i < urls.length; i++) {
+    if (getIdFromUrl_(urls[i][0]) !== id) continue;
+
+    const row = i + 2;
+    // "Remove" would just get it removed again next run, so only keep marker text like "📭 Empty"
+    const keepAction = !['remove', 'delete', 'x'].includes(String(action || '').trim().toLowerCase());
+    sheet.getRange(row, actionCol).setValue(keepAction ? action : '');
+    sheet.getRange(row, 1, 1, actionCol).setBackground(null);
+    if (color && color !== '#ffffff') {
+      sheet.getRange(row, 1).setBackground(color);
+    }
+    applySharingColors_(sheet, row, sheet.getRange(row, 1, 1, actionCol).getValues());
+    return;
+  }
+}
+
+/**
+ * Create the Protected sheet (if needed) and jump to it
+ */
+function openProtectedSettings() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  getProtectedSheet_(ss).activate();
+}
+
+/**
+ * Get (or create) the Protected sheet - one rule per row, removal commands won't touch matches
+ */
+function getProtectedSheet_(ss) {
+  let sheet = ss.getSheetByName(PROTECTED_SHEET);
+  if (sheet) return sheet;
+
+  sheet = ss.insertSheet(PROTECTED_SHEET);
+  const headers = ['Rule', 'Value', 'Note'];
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+  sheet.setColumnWidth(2, 300);
+  sheet.setColumnWidth(3, 250);
+
+  // Dropdown for the rule type
+  const ruleValidation = SpreadsheetApp.newDataValidation()
+    .requireValueInList(PROTECTED_RULE_TYPES)
+    .setAllowInvalid(false)
+    .build();
+  sheet.getRange(2, 1, 200, 1).setDataValidation(ruleValidation);
+
+  const instructions = [
+    ['🛡️ PROTECTED RULES:'],
+    ['Remove commands skip anything that matches'],
+    [''],
+    ['Folder ID = ID or URL; protects the folder,'],
+    ['  everything inside it and its parent folders'],
+    ['Name Regex = e.g. ^Archive|Invoices (any case)'],
+    ['Newer Files (Days) = e.g. 30; files changed'],
+    ['  in the last N days (anywhere inside)'],
+    ['Shared = Yes; shared with anyone else'],
+    [''],
+    ['Preview first: Menu → Preview Removal (Dry Run)']
+  ];
+  sheet.getRange(1, 5, instructions.length, 1).setValues(instructions);
+  sheet.getRange(1, 5).setFontWeight('bold');
+  sheet.setColumnWidth(5, 320);
+
+  // Warn before anyone edits the rules by accident
+  sheet.protect().setDescription('Protected folder rules').setWarningOnly(true);
+  return sheet;
+}
+
+/**
+ * Read the Protected sheet into rules
+ * Returns: { rules: [{ type, value, row, regex?, days? }], errors: [string], protectedIds: Map, ...caches }
+ */
+function loadProtection_(ss) {
+  const protection = {
+    rules: [],
+    errors: [],
+    protectedIds: new Map(),    // Folder ID -> rule row
+    containsProtected: null,    // Ancestor ID -> rule row, built on first use
+    parentCache: {}             // Folder/file ID -> parent IDs
+  };
+
+  const sheet = ss.getSheetByName(PROTECTED_SHEET);
+  if (!sheet || sheet.getLastRow() <= 1) return protection;
+
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues();
+  for (let i = 0; i < data.length; i++) {
+    const type = String(data[i][0] || '').trim();
+    const value = String(data[i][1] || '').trim();
+    const row = i + 2;
+    if (!type && !value) continue;
+
+    const rule = { type: type, value: value, row: row };
+    if (type === 'Folder ID') {
+      const id = getIdFromUrl_(value) || value;
+      if (!id) {
+        protection.errors.push(`Row ${row}: Folder ID is empty`);
+        continue;
+      }
+      protection.protectedIds.set(id, row);
+    } else if (type === 'Name Regex') {
+      try {
+        rule.regex = new RegExp(value, 'i');
+      } catch (e) {
+        protection.errors.push(`Row ${row}: bad regex "${value}" (${e.message})`);
+        continue;
+      }
+    } else if (type === 'Newer Files (Days)') {
+      rule.days = Number(value);
+      if (!value || isNaN(rule.days) || rule.days < 0) {
+        protection.errors.push(`Row ${row}: "${value}" is not a number of days`);
+        continue;
+      }
+    } else if (type === 'Shared') {
+      if (['no', 'false', 'off'].includes(value.toLowerCase())) continue; // Switched off
+    } else {
+      protection.errors.push(`Row ${row}: unknown rule "${type}"`);
+      continue;
+    }
+    protection.rules.push(rule);
+  }
+
+  return protection;
+}
+
+/**
+ * Refuse to remove anything while a Protected rule is broken (a typo shouldn't switch protection off)
+ * Returns true if the rules are OK
+ */
+function checkProtectionRules_(ui, protection) {
+  if (protection.errors.length === 0) return true;
+
+  ui.alert('Fix the Protected sheet first',
+    'Some rules on the "Protected" sheet could not be read, so nothing was removed:\n\n' +
+    protection.errors.slice(0, 10).join('\n'),
+    ui.ButtonSet.OK);
+  return false;
+}
+
+/**
+ * Parent folder IDs of a Drive folder or file (cached)
+ */
+function getParentIds_(driveItem, protection) {
+  const id = driveItem.getId();
+  if (protection.parentCache[id]) return protection.parentCache[id];
+
+  const ids = [];
+  const parents = driveItem.getParents();
+  while (parents.hasNext()) {
+    ids.push(parents.next().getId());
+  }
+  protection.parentCache[id] = ids;
+  return ids;
+}
+
+/**
+ * Every folder above a Drive item, all the way to the top
+ */
+function getAncestorIds_(driveItem, protection) {
+  const seen = new Set();
+  let queue = getParentIds_(driveItem, protection);
+  while (queue.length > 0) {
+    const next = [];
+    for (const id of queue) {
+      if (seen.has(id)) continue;
+      seen.add(id);
+      next.push(...getParentIds_(DriveApp.getFolderById(id), protection));
+    }
+    queue = next;
+  }
+  return seen;
+}
+
+/**
+ * Is the item shared with anyone besides its owner?
+ */
+function isSharedWithOthers_(driveItem) {
+  if (driveItem.getSharingAccess() !== DriveApp.Access.PRIVATE) return true;
+
+  const owner = driveItem.getOwner();
+  const ownerEmail = owner ? owner.getEmail() : '';
+  return driveItem.getEditors().concat(driveItem.getViewers()).some(user => user.getEmail() !== ownerEmail);
+}
+
+/**
+ * Check one removal candidate against the Protected rules
+ * Returns the reason it's protected, or '' if it can be removed
+ */
+function getProtectionReason_(item, driveItem, protection) {
+  // Folder ID rules: the folder itself, anything inside it, and anything containing it
+  if (protection.protectedIds.size > 0) {
+    if (protection.protectedIds.has(item.folderId)) {
+      return `Protected folder (row ${protection.protectedIds.get(item.folderId)})`;
+    }
+
+    for (const ancestorId of getAncestorIds_(driveItem, protection)) {
+      if (protection.protectedIds.has(ancestorId)) {
+        return `Inside a protected folder (row ${protection.protectedIds.get(ancestorId)})`;
+      }
+    }
+
+    if (!item.isFile) {
+      if (!protection.containsProtected) {
+        protection.containsProtected = new Map();
+        for (const [id, row] of protection.protectedIds) {
+          try {
+            for (const ancestorId of getAncestorIds_(DriveApp.getFolderById(id), protection)) {
+              protection.containsProtected.set(ancestorId, row);
+            }
+          } catch (e) {
+            // Protected folder is gone or not shared with us - nothing above it to guard
+          }
+        }
+      }
+      if (protection.containsProtected.has(item.folderId)) {
+        return `Contains a protected folder (row ${protection.containsProtected.get(item.folderId)})`;
+      }
+    }
+  }
+
+  for (const rule of protection.rules) {
+    if (rule.type === 'Name Regex' && rule.regex.test(driveItem.getName())) {
+      return `Name matches "${rule.value}" (row ${rule.row})`;
+    }
+
+    if (rule.type === 'Newer Files (Days)') {
+      const lastActivity = item.isFile ? driveItem.getLastUpdated() : getFolderStats_(driveItem).lastActivity;
+      const cutoff = new Date(Date.now() - rule.days * 24 * 60 * 60 * 1000);
+      if (lastActivity && lastActivity > cutoff) {
+        return `Has files changed in the last ${rule.days} day(s) (row ${rule.row})`;
+      }
+    }
+
+    if (rule.type === 'Shared' && isSharedWithOthers_(driveItem)) {
+      return `Shared with others (row ${rule.row})`;
+    }
+  }
+
+  return '';
+}
+
+/**
+ * Check removal candidates against the Protected rules
+ * Sets item.protectedReason (or item.error if the item can't be opened)
+ */
+function checkProtection_(items, protection) {
+  for (const item of items) {
+    item.protectedReason = '';
+    if (protection.rules.length === 0) continue;
+
+    try {
+      const driveItem = item.isFile ? DriveApp.getFileById(item.folderId) : DriveApp.getFolderById(item.folderId);
+      item.protectedReason = getProtectionReason_(item, driveItem, protection);
+    } catch (e) {
+      item.error = e.message;
+    }
+  }
+}
+
+/**
+ * Drop protected items before a removal, marking their rows "🛡️ Protected"
+ * Returns the items that can be removed
+ */
+function skipProtected_(sheet, actionCol, items, protection) {
+  if (protection.rules.length > 0 && items.length > 0) {
+    updateStatus_(sheet, `🛡️ Checking ${items.length} item(s) against Protected rules...`, '#fff3cd');
+  }
+  checkProtection_(items, protection);
+
+  const allowed = [];
+  for (const item of items) {
+    if (item.protectedReason) {
+      sheet.getRange(item.row, actionCol).setValue('🛡️ Protected').setNote(item.protectedReason);
+    } else {
+      allowed.push(item);
+    }
+  }
+  return allowed;
+}
+
+/**
+ * Open the Filters sheet (creates it with a dropdown and instructions the first time)
+ */
+function openFilters() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  getFiltersSheet_(ss).activate();
+}
+
+/**
+ * Get (or create) the Filters sheet - one rule per row, optionally for one tab only
+ */
+function getFiltersSheet_(ss) {
+  let sheet = ss.getSheetByName(FILTERS_SHEET);
+  if (sheet) return sheet;
+
+  sheet = ss.insertSheet(FILTERS_SHEET);
+  const headers = ['Rule', 'Value', 'Tab', 'Note'];
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+  sheet.setColumnWidth(2, 250);
+  sheet.setColumnWidth(3, 150);
+  sheet.setColumnWidth(4, 250);
+
+  // Dropdown for the rule type
+  const ruleValidation = SpreadsheetApp.newDataValidation()
+    .requireValueInList(FILTER_RULE_TYPES)
+    .setAllowInvalid(false)
+    .build();
+  sheet.getRange(2, 1, 200, 1).setDataValidation(ruleValidation);
+
+  const instructions = [
+    ['🔎 FILTER RULES:'],
+    ['Folder listings, Update List, the nightly'],
+    ['update and Find Empty Folders use these'],
+    ['Tab = only for that tab (empty = every tab)'],
+    [''],
+    ['Exclude Name Regex = e.g. ^(node_modules|\\.git)$'],
+    ['  skips the folder and everything inside it'],
+    ['Include Name Regex = e.g. ^(Clients|Projects)$'],
+    ['  only matching folders + everything inside'],
+    ['Owner = Me or Not me'],
+    ['Modified After / Before = e.g. 2024-01-31'],
+    ['Min Size (MB) = e.g. 100 (reads every file)'],
+    ['Min Files = e.g. 1 (reads every file)'],
+    [''],
+    ['Then list again, or Update List - rows a'],
+    ['filter now hides are tagged "🔎 Filtered out"']
+  ];
+  sheet.getRange(1, 6, instructions.length, 1).setValues(instructions);
+  sheet.getRange(1, 6).setFontWeight('bold');
+  sheet.setColumnWidth(6, 320);
+  return sheet;
+}
+
+/**
+ * Read the Filters rules that apply to a tab
+ * Returns: { active, include: [RegExp], exclude: [RegExp], owner: 'me' | 'not me' | null, after, before: Date | null,
+ *            minBytes, minFiles: number | null, descriptions: [string], errors: [string] }
+ */
+function loadFilters_(sheet) {
+  const filters = {
+    active: false, include: [], exclude: [], owner: null, after: null, before: null, minBytes: null, minFiles: null,
+    descriptions: [], errors: []
+  };
+
+  const filtersSheet = sheet.getParent().getSheetByName(FILTERS_SHEET);
+  if (!filtersSheet || filtersSheet.getLastRow() <= 1) return filters;
+
+  const data = filtersSheet.getRange(2, 1, filtersSheet.getLastRow() - 1, 3).getValues();
+  for (let i = 0; i < data.length; i++) {
+    const type = String(data[i][0] || '').trim();
+    const value = data[i][1] instanceof Date ? formatDate_(data[i][1]) : String(data[i][1] || '').trim();
+    const tab = String(data[i][2] || '').trim();
+    const row = i + 2;
+    if (!type && !value) continue;
+    if (tab && tab !== sheet.getName()) continue;  // Another tab's rule
+
+    if (type === 'Include Name Regex' || type === 'Exclude Name Regex') {
+      try {
+        (type === 'Include Name Regex' ? filters.include : filters.exclude).push(new RegExp(value, 'i'));
+      } catch (e) {
+        filters.errors.push(`Row ${row}: bad regex "${value}" (${e.message})`);
+        continue;
+      }
+    } else if (type === 'Owner') {
+      const owner = value.toLowerCase();
+      if (owner !== 'me' && owner !== 'not me') {
+        filters.errors.push(`Row ${row}: Owner must be "Me" or "Not me"`);
+        continue;
+      }
+      filters.owner = owner;
+    } else if (type === 'Modified After' || type === 'Modified Before') {
+      const date = parseSheetDate_(value);
+      if (!date) {
+        filters.errors.push(`Row ${row}: "${value}" is not a date (use YYYY-MM-DD)`);
+        continue;
+      }
+      if (type === 'Modified After') filters.after = date;
+      else filters.before = date;
+    } else if (type === 'Min Size (MB)' || type === 'Min Files') {
+      const number = Number(value);
+      if (!value || isNaN(number) || number < 0) {
+        filters.errors.push(`Row ${row}: "${value}" is not a number`);
+        continue;
+      }
+      if (type === 'Min Size (MB)') filters.minBytes = number * 1024 * 1024;
+      else filters.minFiles = number;
+    } else {
+      filters.errors.push(`Row ${row}: unknown rule "${type}"`);
+      continue;
+    }
+    filters.descriptions.push(`${type}: ${value}` + (tab ? ` (this tab only)` : ''));
+  }
+
+  filters.active = filters.descriptions.length > 0;
+  return filters;
+}
+
+/**
+ * Refuse to list while a filter rule is broken (a typo in an Exclude rule would list everything)
+ * Returns true if the rules are OK
+ */
+function checkFilterRules_(ui, filters) {
+  if (filters.errors.length === 0) return true;
+
+  ui.alert('Fix the Filters sheet first',
+    'Some rules on the "Filters" sheet could not be read, so nothing was listed:\n\n' +
+    filters.errors.slice(0, 10).join('\n'),
+    ui.ButtonSet.OK);
+  return false;
+}
+
+/**
+ * Exclude Name Regex - the folder and everything inside it are skipped
+ */
+function isExcludedName_(filters, name) {
+  return filters.exclude.some(regex => regex.test(name));
+}
+
+/**
+ * Include Name Regex - no rules means everything is included
+ */
+function isIncludedName_(filters, name) {
+  return filters.include.length === 0 || filters.include.some(regex => regex.test(name));
+}
+
+/**
+ * Should a folder be listed?
+ * item: { name, date, ownedByMe?, folder?, id } - DriveApp is only opened for the owner and size rules
+ * insideIncluded: a folder above it matched an Include rule (so it's in whatever its name is)
+ */
+function passesFilters_(filters, item, insideIncluded) {
+  if (!filters.active) return true;
+  if (isExcludedName_(filters, item.name)) return false;
+  if (!insideIncluded && !isIncludedName_(filters, item.name)) return false;
+  if (filters.after && item.date < filters.after) return false;
+  if (filters.before && item.date >= filters.before) return false;
+
+  const folder = () => item.folder || (item.folder = DriveApp.getFolderById(item.id));
+  if (filters.owner) {
+    let ownedByMe = item.ownedByMe;
+    if (ownedByMe === undefined) {
+      const owner = folder().getOwner();  // null on Shared Drives - nobody's "me"
+      filters.me = filters.me || getCurrentUserEmail_();
+      ownedByMe = !!owner && owner.getEmail() === filters.me;
+    }
+    if (ownedByMe !== (filters.owner === 'me')) return false;
+  }
+  if (filters.minBytes !== null || filters.minFiles !== null) {
+    const stats = getFolderStats_(folder());
+    if (filters.minBytes !== null && stats.bytes < filters.minBytes) return false;
+    if (filters.minFiles !== null && stats.files < filters.minFiles) return false;
+  }
+  return true;
+}
+
+/**
+ * Name rules checked against every folder on a listed row's path (for rows listed before the rules changed)
+ * Returns 'excluded', 'not included' or '' (passes)
+ */
+function checkPathFilters_(filters, path) {
+  const names = String(path).split(CONFIG.PATH_SEPARATOR);
+  if (names.some(name => isExcludedName_(filters, name))) return 'excluded';
+  if (!names.some(name => isIncludedName_(filters, name))) return 'not included';
+  return '';
+}
+
+/**
+ * Show the rules used for this tab as a note on the header's first cell (removed when there are none)
+ */
+function showActiveFilters_(sheet, filters) {
+  const cell = sheet.getRange(1, 1);
+  if (!filters.active) {
+    cell.clearNote();
+    return;
+  }
+  cell.setNote('🔎 Filtered (Filters sheet) - folders that don\'t match aren\'t listed:\n• ' +
+    filters.descriptions.join('\n• '));
+}
+
+/**
+ * Dry run: write what Remove Marked Folders / Remove Empty Folders would do on this sheet to "Removal Preview"
+ * Nothing is trashed and no Action cells are changed
+ */
+function previewRemoval() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getActiveSheet();
+  const ui = SpreadsheetApp.getUi();
+
+  if (sheet.getName() === REMOVAL_PREVIEW_SHEET) {
+    ui.alert('Open a listing sheet', 'Run the preview from the listing (or Duplicates) sheet you want to check.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const marked = getRemovalCandidates_(sheet, 'marked');
+  if (marked.error) {
+    ui.alert(marked.error.title, marked.error.message, ui.ButtonSet.OK);
+    return;
+  }
+  const items = marked.items.concat(getRemovalCandidates_(sheet, 'empty').items);
+  if (items.length === 0) {
+    ui.alert('Nothing to preview',
+      'No rows are marked "Remove", "Delete", "X" or 📭 Empty in the Action column.',
+      ui.ButtonSet.OK);
+    return;
+  }
+
+  const protection = loadProtection_(ss);
+  if (!checkProtectionRules_(ui, protection)) return;
+
+  updateStatus_(sheet, `👀 Previewing ${items.length} item(s)...`, '#fff3cd');
+  checkProtection_(items, protection);
+
+  // Shared Drive roles (and items that no longer exist) would make the real run fail
+  for (const item of items) {
+    if (item.error || item.protectedReason) continue;
+    try {
+      if (!canTrashItem_(item.folderId)) item.error = SHARED_DRIVE_ROLE_ERROR;
+    } catch (e) {
+      item.error = e.message;
+    }
+  }
+
+  const headers = ['Result', 'Reason', 'Command', 'Type', 'Name', 'Path', 'Listing Row', 'URL'];
+  const rows = [];
+  const colors = [];
+  let allowed = 0;
+
+  for (const item of items) {
+    let result, reason, color;
+    if (item.error) {
+      result = '⚠️ Would fail';
+      reason = item.error;
+      color = '#f8d7da';
+    } else if (item.protectedReason) {
+      result = '🛡️ Protected';
+      reason = item.protectedReason;
+      color = '#cfe2ff';
+    } else {
+      result = '🗑️ Would remove';
+      reason = item.command === 'Remove Empty Folders' ? `Marked "${item.action}"` : `Action is "${item.action}"`;
+      color = '#fff3cd';
+      allowed++;
+    }
+    rows.push([result, reason, item.command, item.isFile ? 'File' : 'Folder', item.name, item.path, item.row, item.url]);
+    colors.push([color]);
+  }
+
+  const previewSheet = ss.getSheetByName(REMOVAL_PREVIEW_SHEET) || ss.insertSheet(REMOVAL_PREVIEW_SHEET);
+  previewSheet.clear();
+  previewSheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+  previewSheet.setFrozenRows(1);
+  previewSheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+  previewSheet.getRange(2, 1, rows.length, 1).setBackgrounds(colors);
+
+  const protectedCount = items.filter(item => item.protectedReason).length;
+  const summary = `Preview of "${sheet.getName()}": ${allowed} would be removed, ${protectedCount} protected, ` +
+    `${items.length - allowed - protectedCount} would fail`;
+  previewSheet.getRange(1, headers.length + 2).setValue(summary).setFontWeight('bold');
+  updateStatus_(sheet, `👀 ${summary.split(': ')[1]}`, '#d4edda');
+
+  previewSheet.activate();
+  ui.alert('Dry Run Complete', summary + '.\n\nNothing was removed - see the "' + REMOVAL_PREVIEW_SHEET + '" sheet.', ui.ButtonSet.OK);
+}
+
+/**
+ * Apply "Unshare" and "Make private" from the Action column
+ * - Unshare: turns off link / domain / public access (people added by name keep access)
+ * - Make private: also removes every editor and viewer, so only the owner is left
+ * Every change goes to the "Sharing Log" sheet with the sharing it had before
+ * Stops at the time limit - run it again to do the rest (finished rows are marked done)
+ */
+function applySharingActions() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getActiveSheet();
+  const ui = SpreadsheetApp.getUi();
+  const startTime = Date.now();
+
+  const headers = getHeaderRow_(sheet);
+  const actionCol = headers.indexOf('Action') + 1;
+  const urlCol = getUrlCol_(headers);
+  if (actionCol === 0 || urlCol === 0) {
+    ui.alert('Error', 'Could not find the Action or URL column. Please re-run the folder listing.', ui.ButtonSet.OK);
+    return;
+  }
+  const nameCol = getNameCol_(headers) || 1;
+
+  const lastRow = sheet.getLastRow();
+  const data = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, actionCol).getValues() : [];
+
+  const items = [];
+  for (let i = 0; i < data.length; i++) {
+    const action = String(data[i][actionCol - 1] || '').trim().toLowerCase();
+    const url = String(data[i][urlCol - 1] || '');
+    const itemId = getIdFromUrl_(url);
+    if (!['unshare', 'make private'].includes(action) || !itemId) continue;
+
+    items.push({
+      row: i + 2,
+      action: action,
+      name: data[i][nameCol - 1],
+      path: getRowPath_(headers, data[i]),
+      itemId: itemId,
+      isFile: !url.includes('/folders/'),
+      url: url
+    });
+  }
+
+  if (items.length === 0) {
+    ui.alert('No sharing actions',
+      'No rows found with "Unshare" or "Make private" in the Action column.\n\n' +
+      '• Unshare = turn off link, domain and public access\n' +
+      '• Make private = also remove every editor and viewer',
+      ui.ButtonSet.OK);
+    return;
+  }
+
+  const unshareCount = items.filter(item => item.action === 'unshare').length;
+  const confirmResponse = ui.alert(
+    'Apply Sharing Actions',
+    `Unshare: ${unshareCount}\nMake private: ${items.length - unshareCount}\n\n` +
+    items.slice(0, 10).map(item => `• ${item.name} (${item.action})`).join('\n') +
+    (items.length > 10 ? `\n... and ${items.length - 10} more` : '') +
+    '\n\nPeople removed by "Make private" lose access right away. The old sharing is kept in the "' +
+    SHARING_LOG_SHEET + '" sheet.\n\nContinue?',
+    ui.ButtonSet.YES_NO
+  );
+  if (confirmResponse !== ui.Button.YES) return;
+
+  updateStatus_(sheet, `🔒 Applying ${items.length} sharing action(s)...`, '#fff3cd');
+
+  const sharingCol = headers.indexOf('Owner') + 1;
+  const withSharing = headers.includes('Sharing');
+  const logRows = [];
+  const who = getCurrentUserEmail_();
+  let done = 0;
+  const errorMessages = [];
+
+  for (const item of items) {
+    if (Date.now() - startTime > CONFIG.MAX_RUNTIME_MS) break;
+
+    try {
+      const driveItem = item.isFile ? DriveApp.getFileById(item.itemId) : DriveApp.getFolderById(item.itemId);
+      const before = getSharingInfo_(driveItem);
+
+      driveItem.setSharing(DriveApp.Access.PRIVATE, DriveApp.Permission.NONE);
+      if (item.action === 'make private') {
+        before.editors.forEach(email => driveItem.removeEditor(email));
+        before.viewers.forEach(email => driveItem.removeViewer(email));
+      }
+      const after = getSharingInfo_(driveItem);
+
+      sheet.getRange(item.row, actionCol).setValue(item.action === 'unshare' ? '✓ Unshared' : '✓ Made private');
+      if (withSharing) {
+        const cells = getSharingCells_(driveItem);
+        sheet.getRange(item.row, sharingCol, 1, cells.length).setValues([cells]).setBackground(null);
+      }
+
+      logRows.push([new Date(), item.action === 'unshare' ? 'Unshare' : 'Make private', item.isFile ? 'File' : 'Folder',
+        item.name, item.path, item.itemId, item.url, who, sheet.getName(), describeSharing_(before), describeSharing_(after)]);
+      done++;
+    } catch (e) {
+      errorMessages.push(`${item.name}: ${e.message}`);
+      sheet.getRange(item.row, actionCol).setValue('⚠️ Error').setNote(e.message);
+    }
+  }
+
+  logSharingChanges_(ss, logRows);
+
+  const left = items.length - done - errorMessages.length;
+  if (left > 0) {
+    updateStatus_(sheet, `⏸️ PAUSED: ${done} sharing change(s) done, ${left} left - run Apply Sharing Actions again`, '#f8d7da');
+    ui.alert('Paused - Time Limit', `Changed ${done}, ${left} left.\n\nRun "Apply Sharing Actions" again to do the rest.`, ui.ButtonSet.OK);
+  } else if (errorMessages.length === 0) {
+    updateStatus_(sheet, `✅ Sharing changed on ${done} item(s)`, '#d4edda');
+    ui.alert('Complete!', `Changed sharing on ${done} item(s).\n\nThe old sharing is in the "${SHARING_LOG_SHEET}" sheet.`, ui.ButtonSet.OK);
+  } else {
+    updateStatus_(sheet, `⚠️ Sharing changed on ${done}, ${errorMessages.length} error(s)`, '#f8d7da');
+    ui.alert('Completed with errors',
+      `Changed: ${done}\nErrors: ${errorMessages.length}\n\n` +
+      errorMessages.slice(0, 5).join('\n') +
+      (errorMessages.length > 5 ? `\n... and ${errorMessages.length - 5} more errors` : ''),
+      ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * One-line summary of sharing for the Sharing Log, e.g. "Anyone with link; editors: a@x.com; viewers: none"
+ */
+function describeSharing_(info) {
+  const list = emails => (emails.length ? emails.join(', ') : 'none');
+  return `${SHARING_LABELS[info.access] || info.access}; editors: ${list(info.editors)}; viewers: ${list(info.viewers)}`;
+}
+
+/**
+ * Append rows to the Sharing Log sheet (created on first use)
+ */
+function logSharingChanges_(ss, rows) {
+  if (rows.length === 0) return;
+
+  let logSheet = ss.getSheetByName(SHARING_LOG_SHEET);
+  if (!logSheet) {
+    logSheet = ss.insertSheet(SHARING_LOG_SHEET);
+    const headers = ['Changed At', 'Action', 'Type', 'Name', 'Path', 'ID', 'URL', 'Changed By', 'Listing Sheet', 'Before', 'After'];
+    logSheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+    logSheet.setFrozenRows(1);
+  }
+  logSheet.getRange(logSheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+}
+
+/**
+ * Apply "Move → ...", "Rename → ...", "Archive" and "Star" from the Action column
+ * Every row is checked first - if any row has a problem, nothing is changed
+ * Works in batches and stops at the time limit - run it again to do the rest (finished rows are marked done)
+ */
+function applyActions() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getActiveSheet();
+  const ui = SpreadsheetApp.getUi();
+  const startTime = Date.now();
+
+  const headers = getHeaderRow_(sheet);
+  const actionCol = headers.indexOf('Action') + 1;
+  const urlCol = getUrlCol_(headers);
+  if (actionCol === 0 || urlCol === 0) {
+    ui.alert('Error', 'Could not find the Action or URL column. Please re-run the folder listing.', ui.ButtonSet.OK);
+    return;
+  }
+  const nameCol = getNameCol_(headers) || 1;
+
+  const lastRow = sheet.getLastRow();
+  const data = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, actionCol).getValues() : [];
+
+  const items = [];
+  for (let i = 0; i < data.length; i++) {
+    const action = parseAction_(data[i][actionCol - 1]);
+    const url = String(data[i][urlCol - 1] || '');
+    if (!action) continue;
+
+    items.push({
+      row: i + 2,
+      verb: action.verb,
+      arg: action.arg,
+      name: data[i][nameCol - 1],
+      itemId: getIdFromUrl_(url),
+      isFile: !url.includes('/folders/')
+    });
+  }
+
+  if (items.length === 0) {
+    ui.alert('No actions',
+      'No rows found with an action in the Action column.\n\n' +
+      '• Move → folder ID, URL or path (e.g. "Move → Projects / 2024")\n' +
+      '• Rename → new name\n' +
+      '• Archive = move into the archive folder\n' +
+      '• Star',
+      ui.ButtonSet.OK);
+    return;
+  }
+
+  let archiveFolder = null;
+  if (items.some(item => item.verb === 'archive')) {
+    const archiveId = getArchiveFolderId_(ui);
+    if (archiveId === null) return;
+    try {
+      archiveFolder = DriveApp.getFolderById(archiveId);
+    } catch (e) {
+      PropertiesService.getScriptProperties().deleteProperty('ARCHIVE_FOLDER_ID');
+      ui.alert('Archive folder not found', `Could not open the archive folder (${archiveId}): ${e.message}`, ui.ButtonSet.OK);
+      return;
+    }
+  }
+
+  // Check every row before anything in Drive changes
+  updateStatus_(sheet, `🔎 Checking ${items.length} action(s)...`, '#fff3cd');
+  const config = getSheetConfig_(sheet);
+  const targets = {};
+  const cache = { parentCache: {} };
+  const problems = [];
+  const notesRange = sheet.getRange(2, actionCol, data.length, 1);
+  const notes = notesRange.getNotes();
+  let checked = 0;
+  for (const item of items) {
+    if (Date.now() - startTime > CONFIG.MAX_RUNTIME_MS) break;
+    const problem = validateAction_(item, config, archiveFolder, targets, cache);
+    notes[item.row - 2][0] = problem ? '⚠️ ' + problem : '';
+    if (problem) problems.push(`Row ${item.row} (${item.name}): ${problem}`);
+    checked++;
+  }
+  notesRange.setNotes(notes);
+
+  if (checked < items.length) {
+    updateStatus_(sheet, `⏸️ Checked ${checked} of ${items.length} action(s) before the time limit - nothing was changed`, '#f8d7da');
+    ui.alert('Stopped - Time Limit',
+      `Only ${checked} of ${items.length} action(s) could be checked in time, so nothing was changed.\n\n` +
+      'Run "Apply Actions" on fewer rows at a time (clear some Action cells and do them afterwards).',
+      ui.ButtonSet.OK);
+    return;
+  }
+
+  if (problems.length > 0) {
+    updateStatus_(sheet, `⚠️ ${problems.length} action(s) need fixing - nothing was changed`, '#f8d7da');
+    ui.alert('Nothing Changed',
+      `${problems.length} row(s) need fixing first (see the notes on their Action cells):\n\n` +
+      problems.slice(0, 10).join('\n') +
+      (problems.length > 10 ? `\n... and ${problems.length - 10} more` : ''),
+      ui.ButtonSet.OK);
+    return;
+  }
+
+  const count = verb => items.filter(item => item.verb === verb).length;
+  const confirmResponse = ui.alert(
+    'Apply Actions',
+    `Move: ${count('move')}\nRename: ${count('rename')}\nArchive: ${count('archive')}\nStar: ${count('star')}\n\n` +
+    items.slice(0, 10).map(item => `• ${item.name} (${describeAction_(item, targets)})`).join('\n') +
+    (items.length > 10 ? `\n... and ${items.length - 10} more` : '') +
+    '\n\nContinue?',
+    ui.ButtonSet.YES_NO
+  );
+  if (confirmResponse !== ui.Button.YES) return;
+
+  let done = 0;
+  const errorMessages = [];
+
+  for (let start = 0; start < items.length; start += CONFIG.BATCH_SIZE) {
+    if (Date.now() - startTime > CONFIG.MAX_RUNTIME_MS) break;
+
+    const batch = items.slice(start, start + CONFIG.BATCH_SIZE);
+    for (const item of batch) {
+      try {
+        item.note = applyAction_(item);
+        item.result = { move: '✓ Moved', rename: '✓ Renamed', archive: '✓ Archived', star: '✓ Starred' }[item.verb];
+        done++;
+      } catch (e) {
+        item.note = e.message;
+        item.result = '⚠️ Error';
+        errorMessages.push(`${item.name}: ${e.message}`);
+      }
+    }
+
+    // Write this batch's results so a stop part-way loses nothing
+    for (const item of batch) {
+      sheet.getRange(item.row, actionCol).setValue(item.result).setNote(item.note || null);
+      if (item.verb === 'rename' && item.result !== '⚠️ Error') {
+        sheet.getRange(item.row, nameCol).setValue(item.arg);
+      }
+    }
+    updateStatus_(sheet, `⚡ Applying actions... ${start + batch.length}/${items.length}`, '#fff3cd',
+      (start + batch.length) / items.length);
+    SpreadsheetApp.flush();
+  }
+
+  const left = items.length - done - errorMessages.length;
+  if (left > 0) {
+    updateStatus_(sheet, `⏸️ PAUSED: ${done} action(s) done, ${left} left - run Apply Actions again`, '#f8d7da');
+    ui.alert('Paused - Time Limit', `Done ${done}, ${left} left.\n\nRun "Apply Actions" again to do the rest.`, ui.ButtonSet.OK);
+  } else if (errorMessages.length === 0) {
+    updateStatus_(sheet, `✅ Applied ${done} action(s)`, '#d4edda');
+    ui.alert('Complete!',
+      `Applied ${done} action(s).\n\nMoved items keep their old path here until you run "Update List".`,
+      ui.ButtonSet.OK);
+  } else {
+    updateStatus_(sheet, `⚠️ Applied ${done}, ${errorMessages.length} error(s)`, '#f8d7da');
+    ui.alert('Completed with errors',
+      `Applied: ${done}\nErrors: ${errorMessages.length}\n\n` +
+      errorMessages.slice(0, 5).join('\n') +
+      (errorMessages.length > 5 ? `\n... and ${errorMessages.length - 5} more errors` : ''),
+      ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Read an Action cell: { verb, arg } for Move / Rename / Archive / Star, or null for anything else
+ * "→", "->", ":" and "to" all work between the verb and its target
+ */
+function parseAction_(value) {
+  const text = String(value || '').trim();
+  const match = text.match(/^(move|rename)\b\s*(?:→|->|:|to\b)?\s*(.*)$/i);
+  if (match) return { verb: match[1].toLowerCase(), arg: match[2].trim() };
+
+  const verb = text.toLowerCase();
+  return ['archive', 'star'].includes(verb) ? { verb: verb, arg: '' } : null;
+}
+
+/**
+ * Short description of an action for the confirm dialog
+ */
+function describeAction_(item, targets) {
+  if (item.verb === 'move') return `move to ${targets[item.arg].getName()}`;
+  if (item.verb === 'rename') return `rename to "${item.arg}"`;
+  return item.verb;
+}
+
+/**
+ * Archive folder ID - CONFIG.ARCHIVE_FOLDER_ID, else the one picked last time, else ask (and remember)
+ * Returns null if cancelled
+ */
+function getArchiveFolderId_(ui) {
+  if (CONFIG.ARCHIVE_FOLDER_ID) return CONFIG.ARCHIVE_FOLDER_ID;
+
+  const props = PropertiesService.getScriptProperties();
+  const saved = props.getProperty('ARCHIVE_FOLDER_ID');
+  if (saved) return saved;
+
+  const response = ui.prompt(
+    'Archive Folder',
+    'Paste the ID or URL of the folder "Archive" should move things into:\n\n' +
+    '(Remembered for next time - set CONFIG.ARCHIVE_FOLDER_ID to change it for good)',
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return null;
+
+  const text = response.getResponseText().trim();
+  const folderId = getIdFromUrl_(text) || text;
+  if (!folderId) return null;
+  props.setProperty('ARCHIVE_FOLDER_ID', folderId);
+  return folderId;
+}
+
+/**
+ * Find a Move target: a folder ID / URL, or a path under this tab's root folder ("Projects / 2024")
+ * Throws if it can't be found, or if a path matches more than one folder
+ */
+function resolveMoveTarget_(target, config) {
+  const id = getIdFromUrl_(target) || (/^[a-zA-Z0-9_-]{20,}$/.test(target) ? target : null);
+  if (id) return DriveApp.getFolderById(id);
+
+  let folder = config && config.rootFolderId ? DriveApp.getFolderById(config.rootFolderId) : DriveApp.getRootFolder();
+  const parts = target.split('/').map(part => part.trim()).filter(part => part);
+  for (const part of parts) {
+    const matches = folder.getFoldersByName(part);
+    if (!matches.hasNext()) throw new Error(`No folder "${part}" in "${folder.getName()}"`);
+    const next = matches.next();
+    if (matches.hasNext()) throw new Error(`More than one folder "${part}" in "${folder.getName()}" - use its ID instead`);
+    folder = next;
+  }
+  return folder;
+}
+
+/**
+ * Check one action without changing anything in Drive
+ * Fills in item.driveItem (and item.target for Move / Archive)
+ * Returns what's wrong, or '' if it's good to go
+ */
+function validateAction_(item, config, archiveFolder, targets, cache) {
+  if (!item.itemId) return 'No Drive URL on this row';
+  if ((item.verb === 'move' || item.verb === 'rename') && !item.arg) {
+    return item.verb === 'move' ? 'Missing target, e.g. "Move → Projects / 2024"' : 'Missing new name, e.g. "Rename → Old Invoices"';
+  }
+
+  try {
+    item.driveItem = item.isFile ? DriveApp.getFileById(item.itemId) : DriveApp.getFolderById(item.itemId);
+    if (item.driveItem.isTrashed()) return 'It\'s in the Trash';
+  } catch (e) {
+    return 'Not found or no access';
+  }
+
+  if (item.verb === 'move') {
+    if (!targets[item.arg]) {
+      try {
+        targets[item.arg] = resolveMoveTarget_(item.arg, config);
+      } catch (e) {
+        return e.message;
+      }
+    }
+    item.target = targets[item.arg];
+  } else if (item.verb === 'archive') {
+    item.target = archiveFolder;
+  }
+
+  if (item.target) {
+    const targetId = item.target.getId();
+    if (targetId === item.itemId) return 'Can\'t move a folder into itself';
+    if (getParentIds_(item.driveItem, cache).includes(targetId)) return `Already in "${item.target.getName()}"`;
+    if (!item.isFile && getAncestorIds_(item.target, cache).has(item.itemId)) {
+      return `"${item.target.getName()}" is inside this folder`;
+    }
+  }
+  return '';
+}
+
+/**
+ * Do one checked action in Drive
+ * Returns a note for the Action cell (where a moved item came from, so it can be put back)
+ */
+function applyAction_(item) {
+  const driveItem = item.driveItem;
+
+  if (item.verb === 'rename') {
+    const oldName = driveItem.getName();
+    driveItem.setName(item.arg);
+    return `Was: ${oldName}`;
+  }
+  if (item.verb === 'star') {
+    driveItem.setStarred(true);
+    return '';
+  }
+
+  const from = [];
+  const parents = driveItem.getParents();
+  while (parents.hasNext()) {
+    from.push(parents.next().getName());
+  }
+  driveItem.moveTo(item.target);
+  return `Moved from: ${from.join(', ')}`;
+}
+
+/**
+ * Find duplicate files (same MD5, or same name + size) and duplicate folders (same name + same contents)
+ * Writes groups to the "Duplicates" sheet with Keep/Remove suggestions
+ * Re-running while a scan is paused offers to resume it
+ */
+function findDuplicates() {
+  const ui = SpreadsheetApp.getUi();
+  const props = PropertiesService.getScriptProperties();
+
+  if (loadState_('DUPLICATE_STATE')) {
+    const resumeResponse = ui.alert(
+      'Resume Duplicate Scan?',
+      'A duplicate scan was paused.\n\nYes = continue where it stopped\nNo = start a new scan',
+      ui.ButtonSet.YES_NO_CANCEL
+    );
+    if (resumeResponse === ui.Button.YES) {
+      processDuplicateScan_(props.getProperty('DUPLICATE_ROOT_ID') || '');
+      return;
+    }
+    if (resumeResponse !== ui.Button.NO) return;
+    deleteState_('DUPLICATE_STATE');
+  }
+
+  const folderId = promptForFolderId_(ui);
+  if (folderId === null) return;
+
+  if (typeof Drive === 'undefined') {
+    const fallbackResponse = ui.alert(
+      'Advanced Drive Service Not Enabled',
+      'Without the Advanced Drive service, files can only be matched by name + size (no MD5 checksums).\n\n' +
+      'To enable it: Apps Script editor → Services → Drive API.\n\nContinue with name + size matching?',
+      ui.ButtonSet.YES_NO
+    );
+    if (fallbackResponse !== ui.Button.YES) return;
   }
 
-  // All subfolders are empty
-  return 'empty_tree';
+  props.setProperty('DUPLICATE_ROOT_ID', folderId);
+  processDuplicateScan_(folderId);
 }
 
 /**
- * Scan folders and mark empty ones (no files) in the Action column
+ * Scan every file and folder under the root into the hidden scan sheet, with timeout protection
+ * When the scan is complete, the duplicates report is built from the scan sheet
  */
-function markEmptyFolders() {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+function processDuplicateScan_(rootFolderId) {
+  const startTime = Date.now();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
   const ui = SpreadsheetApp.getUi();
 
-  // Find columns dynamically from headers
-  const headers = sheet.getRange(1, 1, 1, 10).getValues()[0];
+  let state = loadState_('DUPLICATE_STATE');
+  let reportSheet = ss.getSheetByName(DUPLICATES_SHEET);
+  let scanSheet = ss.getSheetByName(DUPLICATE_SCAN_SHEET);
 
-  const actionCol = headers.indexOf('Action') + 1;
-  if (actionCol === 0) {
-    ui.alert('Error', 'Could not find Action column. Please re-run the folder listing.', ui.ButtonSet.OK);
-    return;
+  if (!state || !reportSheet || !scanSheet) {
+    let rootFolder;
+    try {
+      rootFolder = rootFolderId ? DriveApp.getFolderById(rootFolderId) : DriveApp.getRootFolder();
+    } catch (e) {
+      ui.alert('Error: Could not access folder.\n\n' + e.message);
+      return;
+    }
+
+    reportSheet = setupDuplicatesSheet_(ss);
+
+    // Fresh scratch sheet: one row per file/folder found
+    if (scanSheet) ss.deleteSheet(scanSheet);
+    scanSheet = ss.insertSheet(DUPLICATE_SCAN_SHEET);
+    scanSheet.getRange(1, 1, 1, 9).setValues([['Kind', 'ID', 'Parent ID', 'Name', 'Path', 'Size (Bytes)', 'Key', 'Modified', 'URL']]);
+    scanSheet.hideSheet();
+
+    state = {
+      rootId: rootFolder.getId(),
+      stack: [[rootFolder.getId(), '', '']],  // Folders still to visit: [folderId, path, parentId]
+      current: null,                           // Folder being listed: { folderId, path, token }
+      filesScanned: 0,
+      foldersScanned: 0,
+      errors: 0
+    };
   }
 
-  // Find URL column (either "Folder URL" or "Subfolder URL")
-  let urlCol = headers.indexOf('Folder URL') + 1;
-  if (urlCol === 0) {
-    urlCol = headers.indexOf('Subfolder URL') + 1;
+  ss.setActiveSheet(reportSheet);
+  updateStatus_(reportSheet, '🧬 Scanning for duplicates...', '#fff3cd');
+
+  const rows = [];
+
+  while (state.current || state.stack.length > 0) {
+    // Check if we're running out of time
+    if (Date.now() - startTime > CONFIG.MAX_RUNTIME_MS) {
+      appendScanRows_(scanSheet, rows);
+      saveState_('DUPLICATE_STATE', state);
+
+      updateStatus_(reportSheet, `⏸️ PAUSED: ${state.filesScanned} files in ${state.foldersScanned} folders - Run Find Duplicates to resume`, '#f8d7da');
+      ui.alert(
+        'Paused - Time Limit',
+        `Scanned ${state.filesScanned} files in ${state.foldersScanned} folders so far.\n\n` +
+        'Click "Find Duplicates" from the menu again to continue.',
+        ui.ButtonSet.OK
+      );
+      return;
+    }
+
+    // Start the next folder - record it and queue its subfolders
+    if (!state.current) {
+      const [folderId, path, parentId] = state.stack.pop();
+      try {
+        const folder = DriveApp.getFolderById(folderId);
+        if (folderId !== state.rootId) {
+          rows.push(['folder', folderId, parentId, folder.getName(), path, '', '', folder.getLastUpdated(), folder.getUrl()]);
+        }
+
+        const children = [];
+        const subfolders = folder.getFolders();
+        while (subfolders.hasNext()) {
+          const sub = subfolders.next();
+          children.push([sub.getId(), joinPath_(path, sub.getName()), folderId]);
+        }
+        for (let i = children.length - 1; i >= 0; i--) {
+          state.stack.push(children[i]);
+        }
+
+        state.current = { folderId: folderId, path: path, token: null };
+        state.foldersScanned++;
+      } catch (e) {
+        state.errors++;
+      }
+      continue;
+    }
+
+    // List the next page of files in the current folder
+    try {
+      const page = listFolderFilesPage_(state.current.folderId, state.current.token);
+      for (const file of page.files) {
+        // Google Docs/Sheets/Slides have no checksum and size 0 - same-named ones ("Untitled document") can differ,
+        // so they get a key of their own and never match anything
+        const key = file.md5 ? 'md5:' + file.md5 : file.size > 0 ? 'name:' + file.name + '|' + file.size : 'id:' + file.id;
+        rows.push(['file', file.id, state.current.folderId, file.name, state.current.path, file.size, key, file.modified, file.url]);
+      }
+      state.filesScanned += page.files.length;
+      state.current.token = page.nextToken;
+      if (!page.nextToken) state.current = null;
+    } catch (e) {
+      state.errors++;
+      state.current = null;
+    }
+
+    if (rows.length >= DUPLICATE_SCAN_BATCH) {
+      appendScanRows_(scanSheet, rows);
+      rows.length = 0;
+      updateStatus_(reportSheet, `🧬 Scanned ${state.filesScanned} files in ${state.foldersScanned} folders...`, '#fff3cd');
+    }
   }
-  if (urlCol === 0) {
-    ui.alert('Error', 'Could not find URL column. Please re-run the folder listing.', ui.ButtonSet.OK);
-    return;
+
+  appendScanRows_(scanSheet, rows);
+  updateStatus_(reportSheet, `🧬 Grouping ${state.filesScanned} files...`, '#fff3cd');
+
+  const summary = buildDuplicatesReport_(scanSheet, reportSheet);
+
+  // Done! Clean up
+  deleteState_('DUPLICATE_STATE');
+  PropertiesService.getScriptProperties().deleteProperty('DUPLICATE_ROOT_ID');
+  ss.deleteSheet(scanSheet);
+
+  updateStatus_(reportSheet, `✅ DONE! ${summary.fileGroups} duplicate file group(s), ${summary.folderGroups} duplicate folder group(s)`, '#d4edda');
+  stampStatus_(reportSheet, 'Completed: ' + new Date().toLocaleString());
+
+  ui.alert(
+    'Duplicate Scan Complete',
+    `Scanned ${state.filesScanned} files in ${state.foldersScanned} folders.\n\n` +
+    `🧬 Duplicate file groups: ${summary.fileGroups}\n` +
+    `🧬 Duplicate folder groups: ${summary.folderGroups}\n` +
+    `💾 Space used by extra copies: ${formatBytes_(summary.wastedBytes)}\n` +
+    (state.errors ? `⚠️ Errors (couldn't access): ${state.errors}\n` : '') +
+    '\nReview the Suggestion column, type "Remove" in Action,\n' +
+    'then run "Remove Marked Folders" on the Duplicates sheet.',
+    ui.ButtonSet.OK
+  );
+}
+
+/**
+ * List one page of files directly inside a folder
+ * Uses the Advanced Drive service when enabled (gives MD5 checksums), DriveApp otherwise
+ * Returns: { files: [{ id, name, size, md5, modified, url }], nextToken: string | null }
+ */
+function listFolderFilesPage_(folderId, token) {
+  if (typeof Drive !== 'undefined') {
+    const options = {
+      q: `'${folderId}' in parents and trashed = false and mimeType != '${FOLDER_MIME_TYPE}'`,
+      fields: 'nextPageToken, files(id, name, size, md5Checksum, modifiedTime, webViewLink)',
+      pageSize: 1000,
+      supportsAllDrives: true,          // Shared Drive folders too
+      includeItemsFromAllDrives: true
+    };
+    if (token) options.pageToken = token;
+
+    const response = Drive.Files.list(options);
+    return {
+      files: (response.files || []).map(f => ({
+        id: f.id,
+        name: f.name,
+        size: Number(f.size || 0),  // Google Docs/Sheets/Slides have no size
+        md5: f.md5Checksum || '',   // ...and no checksum
+        modified: new Date(f.modifiedTime),
+        url: f.webViewLink
+      })),
+      nextToken: response.nextPageToken || null
+    };
   }
 
-  // Get all data (skip header row)
-  const lastRow = sheet.getLastRow();
-  if (lastRow <= 1) {
-    ui.alert('No data', 'No folders to scan.', ui.ButtonSet.OK);
-    return;
+  const iterator = token ? DriveApp.continueFileIterator(token) : DriveApp.getFolderById(folderId).getFiles();
+  const files = [];
+  while (files.length < 200 && iterator.hasNext()) {
+    const file = iterator.next();
+    files.push({
+      id: file.getId(),
+      name: file.getName(),
+      size: file.getSize(),
+      md5: '',
+      modified: file.getLastUpdated(),
+      url: file.getUrl()
+    });
   }
+  return { files: files, nextToken: iterator.hasNext() ? iterator.getContinuationToken() : null };
+}
 
-  const dataRange = sheet.getRange(2, 1, lastRow - 1, actionCol);
-  const data = dataRange.getValues();
+/**
+ * Append rows to the hidden duplicate scan sheet
+ */
+function appendScanRows_(scanSheet, rows) {
+  if (rows.length === 0) return;
+  scanSheet.getRange(scanSheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+}
 
-  // Confirm with user
-  const confirmResponse = ui.alert(
-    'Scan for Empty Folders',
-    `This will scan ${data.length} folder(s) and check if they're empty.\n\n` +
-    '• Checks for files in the folder\n' +
-    '• Also checks subfolders recursively\n' +
-    '• May take a while for large lists\n\nContinue?',
-    ui.ButtonSet.YES_NO
+/**
+ * Create (or clear) the Duplicates sheet with headers and instructions
+ */
+function setupDuplicatesSheet_(ss) {
+  const sheet = ss.getSheetByName(DUPLICATES_SHEET) || ss.insertSheet(DUPLICATES_SHEET);
+  sheet.clear();
+
+  const headers = ['Group', 'Match', 'Type', 'Name', 'Path', 'Size', 'Size (Bytes)', 'Last Modified', 'URL', 'Suggestion', 'Action'];
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+
+  const statusCol = headers.length + 1;
+  statusColCache_[sheet.getSheetId()] = statusCol;
+  if (!isStatusInSheet_()) return sheet;
+  sheet.setColumnWidth(statusCol, 300);
+
+  const instructions = [
+    ['📋 HOW TO REMOVE DUPLICATES:'],
+    ['1. Review the Suggestion column'],
+    ['2. Type "Remove" in Action'],
+    ['3. Menu → Remove Marked Folders'],
+    [''],
+    ['📌 SUGGESTION:'],
+    ['"Keep" = shallowest path, oldest copy'],
+    ['Folders match on name + all contents']
+  ];
+  sheet.getRange(3, statusCol, instructions.length, 1).setValues(instructions);
+  sheet.getRange(3, statusCol, 1, 1).setFontWeight('bold');
+  sheet.getRange(8, statusCol, 1, 1).setFontWeight('bold');
+
+  return sheet;
+}
+
+/**
+ * Group the scanned files and folders into duplicates and write them to the report sheet
+ * Groups that sit entirely inside duplicate folders are skipped (the folder group already covers them)
+ * Returns: { fileGroups, folderGroups, wastedBytes }
+ */
+function buildDuplicatesReport_(scanSheet, reportSheet) {
+  const lastRow = scanSheet.getLastRow();
+  const scanRows = lastRow > 1 ? scanSheet.getRange(2, 1, lastRow - 1, 9).getValues() : [];
+
+  // Index folders and files
+  const folders = {};
+  const files = [];
+  for (const r of scanRows) {
+    if (r[0] === 'folder') {
+      folders[r[1]] = {
+        id: r[1], parentId: r[2], name: r[3], path: r[4], modified: r[7], url: r[8],
+        fileKeys: [], childIds: [], bytes: 0, fileCount: 0, signature: null
+      };
+    } else {
+      files.push({
+        id: r[1], parentId: r[2], name: r[3], path: r[4] || '(root)',
+        bytes: Number(r[5]) || 0, key: r[6], modified: r[7], url: r[8]
+      });
+    }
+  }
+  for (const file of files) {
+    const parent = folders[file.parentId];
+    if (parent) {
+      parent.fileKeys.push(file.key);
+      parent.bytes += file.bytes;
+      parent.fileCount++;
+    }
+  }
+  for (const id in folders) {
+    const parent = folders[folders[id].parentId];
+    if (parent) parent.childIds.push(id);
+  }
+
+  // Folder signature = hash of everything inside it (file keys + named subfolder signatures)
+  const signatureOf = folder => {
+    if (folder.signature) return folder.signature;
+    const childParts = folder.childIds.map(id => {
+      const child = folders[id];
+      signatureOf(child);
+      folder.bytes += child.bytes;
+      folder.fileCount += child.fileCount;
+      return child.name + ':' + child.signature;
+    });
+    folder.signature = md5Hex_(folder.fileKeys.slice().sort().join('\n') + '\n--\n' + childParts.sort().join('\n'));
+    return folder.signature;
+  };
+
+  // Group folders (skip ones with no files anywhere inside - that's Find Empty Folders' job)
+  const folderGroupMap = {};
+  for (const id in folders) {
+    const folder = folders[id];
+    signatureOf(folder);
+    if (folder.fileCount === 0) continue;
+    const key = folder.name + '|' + folder.signature;
+    (folderGroupMap[key] = folderGroupMap[key] || []).push({
+      type: 'Folder', match: 'Name + contents', name: folder.name, path: folder.path,
+      bytes: folder.bytes, modified: folder.modified, url: folder.url, parentId: folder.parentId, id: folder.id
+    });
+  }
+  const folderGroups = Object.values(folderGroupMap).filter(g => g.length > 1);
+  const duplicateFolderIds = new Set();
+  for (const group of folderGroups) {
+    for (const member of group) duplicateFolderIds.add(member.id);
+  }
+
+  // Group files
+  const fileGroupMap = {};
+  for (const file of files) {
+    (fileGroupMap[file.key] = fileGroupMap[file.key] || []).push({
+      type: 'File', match: file.key.startsWith('md5:') ? 'MD5' : 'Name + size', name: file.name, path: file.path,
+      bytes: file.bytes, modified: file.modified, url: file.url, parentId: file.parentId, id: file.id
+    });
+  }
+  const fileGroups = Object.values(fileGroupMap).filter(g => g.length > 1);
+
+  // Drop groups whose members all live inside duplicate folders
+  const isNested = group => group.every(member => duplicateFolderIds.has(member.parentId));
+  const groups = folderGroups.concat(fileGroups).filter(group => !isNested(group));
+
+  // Biggest savings first
+  const wasted = group => group[0].bytes * (group.length - 1);
+  groups.sort((a, b) => wasted(b) - wasted(a));
+
+  const rows = [];
+  const backgrounds = [];
+  let wastedBytes = 0;
+  let fileGroupCount = 0;
+  let folderGroupCount = 0;
+
+  groups.forEach((group, index) => {
+    // Keep the copy with the shallowest path, then the oldest
+    const depthOf = member => member.path.split(CONFIG.PATH_SEPARATOR).length;
+    group.sort((a, b) => depthOf(a) - depthOf(b) || new Date(a.modified) - new Date(b.modified));
+
+    const groupColor = index % 2 === 0 ? '#ffffff' : '#f3f6fc';
+    group.forEach((member, i) => {
+      const suggestion = i === 0 ? 'Keep' : 'Remove';
+      rows.push([
+        index + 1,
+        member.match,
+        member.type,
+        member.name,
+        member.path,
+        formatBytes_(member.bytes),
+        member.bytes,
+        member.modified instanceof Date ? formatDate_(member.modified) : '',
+        member.url,
+        suggestion,
+        ''  // Action column
+      ]);
+      const rowColors = new Array(11).fill(groupColor);
+      rowColors[9] = i === 0 ? '#c8e6c9' : '#f8d7da';
+      backgrounds.push(rowColors);
+    });
+
+    wastedBytes += wasted(group);
+    if (group[0].type === 'File') fileGroupCount++;
+    else folderGroupCount++;
+  });
+
+  if (rows.length > 0) {
+    reportSheet.getRange(2, 1, rows.length, 11).setValues(rows);
+    reportSheet.getRange(2, 1, rows.length, 11).setBackgrounds(backgrounds);
+    for (let i = 1; i <= 11; i++) {
+      reportSheet.autoResizeColumn(i);
+    }
+  }
+
+  return { fileGroups: fileGroupCount, folderGroups: folderGroupCount, wastedBytes: wastedBytes };
+}
+
+/**
+ * MD5 hash of a string as hex
+ */
+function md5Hex_(text) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, text, Utilities.Charset.UTF_8);
+  return digest.map(b => ((b + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Export menu - write the active listing to a file in Drive
+ */
+function exportCsv() {
+  exportListing_('csv');
+}
+
+function exportJson() {
+  exportListing_('json');
+}
+
+function exportMarkdownTree() {
+  exportListing_('markdown');
+}
+
+function exportTextTree() {
+  exportListing_('text');
+}
+
+/**
+ * Ask where to save, write the export, and remember it for next time (and the nightly update if wanted)
+ * Exporting again to the same folder overwrites the same file, so shared links keep working
+ */
+function exportListing_(format) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  const ui = SpreadsheetApp.getUi();
+  const info = EXPORT_FORMATS[format];
+
+  const headers = getHeaderRow_(sheet);
+  if (getNameCol_(headers) === 0 || sheet.getLastRow() <= 1) {
+    ui.alert('Nothing to export', 'Open a tab with a folder or file listing first.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const props = PropertiesService.getScriptProperties();
+  const exportsKey = 'EXPORT_' + sheet.getSheetId();
+  const exports = JSON.parse(props.getProperty(exportsKey) || '{}');
+  const previous = exports[format];
+
+  const response = ui.prompt(
+    `Export as ${info.label}`,
+    'Paste the ID or URL of the Drive folder to save the export in:\n\n' +
+    (previous ? `Leave empty to use the same folder as last time (${previous.folderName})` : 'Leave empty for "My Drive"'),
+    ui.ButtonSet.OK_CANCEL
   );
+  if (response.getSelectedButton() !== ui.Button.OK) return;
 
-  if (confirmResponse !== ui.Button.YES) {
+  const text = response.getResponseText().trim();
+  const folderId = text ? getIdFromUrl_(text) || text : previous ? previous.folderId : '';
+  let folder;
+  try {
+    folder = folderId ? DriveApp.getFolderById(folderId) : DriveApp.getRootFolder();
+  } catch (e) {
+    ui.alert('Error', 'Could not access folder: ' + e.message, ui.ButtonSet.OK);
     return;
   }
 
-  updateStatus_(sheet, `🔍 Scanning ${data.length} folders (checking subfolders too)...`, '#fff3cd');
+  // Only folder listings are refreshed by the nightly update
+  const config = getSheetConfig_(sheet);
+  let nightly = false;
+  if (config && config.mode !== MODE_FILES) {
+    nightly = ui.alert(
+      'Regenerate Nightly?',
+      'Rewrite this export after each nightly auto-update, so it always matches the sheet?',
+      ui.ButtonSet.YES_NO
+    ) === ui.Button.YES;
+  }
 
-  let scanned = 0;
-  let emptyCount = 0;
-  let emptyTreeCount = 0;
-  let errorCount = 0;
+  updateStatus_(sheet, `📤 Exporting ${info.label}...`, '#fff3cd');
+  let file;
+  try {
+    file = writeExport_(sheet, format, folder, previous && previous.folderId === folderId ? previous.fileId : null);
+  } catch (e) {
+    updateStatus_(sheet, `❌ Export failed: ${e.message}`, '#f8d7da');
+    ui.alert('Export failed', e.message, ui.ButtonSet.OK);
+    return;
+  }
 
-  for (let i = 0; i < data.length; i++) {
-    const url = data[i][urlCol - 1];
-    const currentAction = (data[i][actionCol - 1] || '').toString().trim();
+  exports[format] = { folderId: folderId, folderName: folder.getName(), fileId: file.getId(), nightly: nightly };
+  props.setProperty(exportsKey, JSON.stringify(exports));
 
-    // Skip rows that are already marked as removed or have errors
-    if (currentAction.includes('Removed') || currentAction.includes('Error') || !url) {
-      scanned++;
-      continue;
-    }
+  updateStatus_(sheet, `📤 Exported ${info.label} to "${folder.getName()}"`, '#d4edda');
+  ui.alert('Export Complete',
+    `Saved "${file.getName()}" in "${folder.getName()}".\n\n${file.getUrl()}` +
+    (nightly ? '\n\nIt will be rewritten after each nightly update.' : ''),
+    ui.ButtonSet.OK);
+}
 
-    // Skip rows without valid Drive URLs
-    if (!url.includes('drive.google.com')) {
-      scanned++;
-      continue;
-    }
+/**
+ * Rewrite this tab's exports marked "nightly" (after the auto-update)
+ * Returns error messages, one per export that failed
+ */
+function runNightlyExports_(sheet) {
+  const props = PropertiesService.getScriptProperties();
+  const exportsKey = 'EXPORT_' + sheet.getSheetId();
+  const exports = JSON.parse(props.getProperty(exportsKey) || '{}');
+  const errors = [];
 
-    // Extract folder ID from URL
-    const match = url.match(/folders\/([a-zA-Z0-9_-]+)/);
-    if (!match) {
-      scanned++;
-      continue;
+  for (const format in exports) {
+    const saved = exports[format];
+    if (!saved.nightly) continue;
+    try {
+      const folder = saved.folderId ? DriveApp.getFolderById(saved.folderId) : DriveApp.getRootFolder();
+      saved.fileId = writeExport_(sheet, format, folder, saved.fileId).getId();
+    } catch (e) {
+      errors.push(`${EXPORT_FORMATS[format].label} export failed: ${e.message}`);
     }
+  }
+
+  props.setProperty(exportsKey, JSON.stringify(exports));
+  return errors;
+}
 
+/**
+ * Write the export file - overwrites fileId if it still exists, otherwise creates a new file in the folder
+ */
+function writeExport_(sheet, format, folder, fileId) {
+  const info = EXPORT_FORMATS[format];
+  const content = buildExport_(sheet, format);
+
+  if (fileId) {
     try {
-      const folder = DriveApp.getFolderById(match[1]);
-      const status = checkFolderEmpty_(folder);
+      const file = DriveApp.getFileById(fileId);
+      if (!file.isTrashed()) {
+        file.setContent(content);
+        return file;
+      }
+    } catch (e) {
+      // Deleted since the last export - make a new one
+    }
+  }
 
-      if (status === 'empty') {
-        sheet.getRange(i + 2, actionCol).setValue('📭 Empty');
-        emptyCount++;
-      } else if (status === 'empty_tree') {
-        sheet.getRange(i + 2, actionCol).setValue('📭 Empty (subfolders empty too)');
-        emptyTreeCount++;
+  const name = `${sheet.getParent().getName()} - ${sheet.getName()}.${info.extension}`;
+  return folder.createFile(name, content, info.mimeType);
+}
+
+/**
+ * Turn the listing into the export text
+ * - CSV: every column up to Action, as in the sheet
+ * - JSON: one object per row (keys = column names), nested under their parent folder
+ * - Markdown / text: an indented tree with status tags and Action values
+ */
+function buildExport_(sheet, format) {
+  const allHeaders = getHeaderRow_(sheet);
+  const actionIdx = allHeaders.indexOf('Action');
+  const headers = actionIdx >= 0 ? allHeaders.slice(0, actionIdx + 1) : allHeaders.filter(header => header !== '');
+  const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues()
+    .map(row => row.map(value => (value instanceof Date ? formatDate_(value) : value)));
+
+  if (format === 'csv') {
+    const csvValue = value => {
+      const text = String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [headers, ...rows].map(row => row.map(csvValue).join(',')).join('\r\n');
+  }
+
+  const mode = getModeFromHeaders_(allHeaders);
+  const tree = buildExportTree_(headers, rows, mode);
+  const title = `${sheet.getParent().getName()} - ${sheet.getName()}`;
+
+  if (format === 'json') {
+    const childKey = mode === MODE_FILES ? 'files' : 'subfolders';
+    // Parents get a child list (every folder does in full tree mode) - subfolders and files are leaves
+    const hasChildren = depth => mode === MODE_TREE || (depth === 0 && [MODE_SUBFOLDERS, MODE_FILES].includes(mode));
+    const toJson = (node, depth) => (hasChildren(depth)
+      ? Object.assign({}, node.fields, { [childKey]: node.children.map(child => toJson(child, depth + 1)) })
+      : node.fields);
+    const items = tree.map(node => toJson(node, 0));
+    return JSON.stringify({ title: title, mode: mode, exportedAt: new Date().toISOString(), items: items }, null, 2);
+  }
+
+  const lines = [];
+  const walk = (nodes, depth) => {
+    for (const node of nodes) {
+      const notes = [node.status, node.action].filter(note => note !== '');
+      if (format === 'markdown') {
+        const name = String(node.name).replace(/([\\[\]*_`])/g, '\\$1');
+        lines.push(`${'  '.repeat(depth)}- ${node.url ? `[${name}](${node.url})` : name}` +
+          (notes.length ? ` - ${notes.join(' · ')}` : ''));
+      } else {
+        lines.push(`${'  '.repeat(depth)}${node.name}` + (notes.length ? `  [${notes.join(' | ')}]` : ''));
       }
-      // If has files, leave Action column as is
+      walk(node.children, depth + 1);
+    }
+  };
+  walk(tree, 0);
 
-    } catch (e) {
-      errorCount++;
+  const exported = `Exported ${new Date().toLocaleString()}`;
+  return format === 'markdown'
+    ? `# ${title}\n\n_${exported}_\n\n${lines.join('\n')}\n`
+    : `${title}\n${exported}\n\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Nest listing rows under their parents: [{ fields, name, url, status, action, children }]
+ * - Subfolders mode: subfolders under their parent folder
+ * - Full tree: every folder under the folder its Path points to
+ * - Files: files under their Parent Path
+ * - Anything else stays flat
+ */
+function buildExportTree_(headers, rows, mode) {
+  const nameIdx = getNameCol_(headers) - 1;
+  const urlIdx = getUrlCol_(headers) - 1;
+  const field = (row, name) => {
+    const idx = headers.indexOf(name);
+    return idx >= 0 ? String(row[idx]) : '';
+  };
+  const makeNode = row => {
+    const fields = {};
+    headers.forEach((header, i) => { fields[header] = row[i]; });
+    return {
+      fields: fields,
+      name: String(row[nameIdx]),
+      url: urlIdx >= 0 ? String(row[urlIdx]) : '',
+      status: field(row, 'Status'),
+      action: field(row, 'Action'),
+      children: []
+    };
+  };
+
+  const roots = [];
+  const groups = {};
+  const group = name => {
+    if (!groups[name]) {
+      groups[name] = { fields: { [headers[1]]: name }, name: name, url: '', status: '', action: '', children: [] };
+      roots.push(groups[name]);
     }
+    return groups[name];
+  };
+
+  if (mode === MODE_SUBFOLDERS) {
+    for (const row of rows) {
+      const parent = group(field(row, 'Parent Folder'));
+      if (field(row, 'Subfolder') === '(no subfolders)') {
+        // The parent's own row - its status and action belong to the parent
+        Object.assign(parent, makeNode(row), { name: parent.name, children: parent.children });
+      } else {
+        parent.children.push(makeNode(row));
+      }
+    }
+    return roots;
+  }
 
-    scanned++;
+  if (mode === MODE_FILES) {
+    rows.forEach(row => group(field(row, 'Parent Path') || '(root)').children.push(makeNode(row)));
+    return roots;
+  }
 
-    // Update progress every 10 folders
-    if (scanned % 10 === 0) {
-      const totalEmpty = emptyCount + emptyTreeCount;
-      updateStatus_(sheet, `🔍 Scanned ${scanned}/${data.length} (${totalEmpty} empty)...`, '#fff3cd');
+  if (mode === MODE_TREE) {
+    const byPath = {};
+    for (const row of rows) {
+      const node = makeNode(row);
+      const path = field(row, 'Path');
+      const cut = path.lastIndexOf(CONFIG.PATH_SEPARATOR);
+      const parent = cut > 0 ? byPath[path.substring(0, cut)] : null;
+      (parent ? parent.children : roots).push(node);
+      if (path) byPath[path] = node;
     }
+    return roots;
   }
 
-  // Show completion
-  const totalEmpty = emptyCount + emptyTreeCount;
-  if (errorCount === 0) {
-    updateStatus_(sheet, `✅ Scan complete: ${totalEmpty} empty folder(s) found`, '#d4edda');
-    ui.alert('Scan Complete',
-      `Scanned ${scanned} folder(s).\n\n` +
-      `📭 Completely empty: ${emptyCount}\n` +
-      `📭 Empty (with empty subfolders): ${emptyTreeCount}\n\n` +
-      'Empty folders are marked in the Action column.\n' +
-      'Change the marker to "Remove" to delete them.',
-      ui.ButtonSet.OK);
-  } else {
-    updateStatus_(sheet, `✅ Scan done: ${totalEmpty} empty, ${errorCount} errors`, '#fff3cd');
-    ui.alert('Scan Complete',
-      `Scanned ${scanned} folder(s).\n\n` +
-      `📭 Completely empty: ${emptyCount}\n` +
-      `📭 Empty (with empty subfolders): ${emptyTreeCount}\n` +
-      `⚠️ Errors (couldn't access): ${errorCount}\n\n` +
-      'Empty folders are marked in the Action column.',
+  return rows.map(makeNode);
+}
+
+/**
+ * History menu - snapshots of the listing's totals, kept on the History sheet (listings wipe their own tab)
+ */
+function takeSnapshot() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getActiveSheet();
+  const ui = SpreadsheetApp.getUi();
+
+  const config = getSheetConfig_(sheet);
+  const headers = getHeaderRow_(sheet);
+  if (!config || config.mode === MODE_FILES || getUrlCol_(headers) === 0 || sheet.getLastRow() <= 1) {
+    ui.alert('Nothing to snapshot', 'Open a tab with a folder listing first (file listings aren\'t snapshotted).', ui.ButtonSet.OK);
+    return;
+  }
+  if (hasState_(stateKey_('PROCESS_STATE', sheet))) {
+    ui.alert('Listing in progress', 'Finish the listing first (Resume Listing) - a snapshot of half a listing would look like a drop.',
       ui.ButtonSet.OK);
+    return;
+  }
+
+  const snapshot = saveSnapshot_(sheet, 'Manual');
+  ui.alert('Snapshot Saved',
+    `Snapshot #${snapshot.id} of "${sheet.getName()}":\n\n` +
+    `• Folders: ${snapshot.folders}\n` +
+    `• New since the last snapshot: ${snapshot.newFolders === '' ? '(first snapshot)' : snapshot.newFolders}\n` +
+    `• Empty (marked by Find Empty Folders): ${snapshot.emptyFolders}\n` +
+    `• Total size: ${snapshot.bytes === '' ? '(no size columns - list with sizes to track them)' : formatBytes_(snapshot.bytes)}\n\n` +
+    'See the History sheet for the charts, and Compare Snapshots for the differences.',
+    ui.ButtonSet.OK);
+}
+
+/**
+ * Count the listing and append it to the History sheets, then redraw the charts
+ * newFolders: from the Update List summary when there is one (nightly), otherwise folders dated after the last snapshot
+ * Returns: { id, folders, newFolders, emptyFolders, bytes }
+ */
+function saveSnapshot_(sheet, takenBy, summary) {
+  const ss = sheet.getParent();
+  const historySheet = getHistorySheet_(ss, HISTORY_SHEET, HISTORY_HEADERS);
+  const detailSheet = getHistorySheet_(ss, HISTORY_DETAIL_SHEET, HISTORY_DETAIL_HEADERS);
+
+  const history = readHistory_(historySheet);
+  const previous = history.filter(entry => entry.tab === sheet.getName()).pop();
+  const counts = countListing_(sheet, previous ? previous.takenAt : null);
+
+  const id = history.reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+  const now = new Date();
+  const config = getSheetConfig_(sheet) || {};
+  const newFolders = summary ? summary.added : counts.newFolders;
+  const sizeCells = bytes => (bytes === '' ? ['', ''] : [formatBytes_(bytes), bytes]);
+
+  // Not appendRow - the chart data next to the table can run further down than the snapshots
+  const historyRow = [id, now, sheet.getName(), config.rootFolderId || '(My Drive)', counts.folders, newFolders,
+    counts.emptyFolders, ...sizeCells(counts.bytes), takenBy];
+  historySheet.getRange(findHistoryRow_(historySheet), 1, 1, historyRow.length).setValues([historyRow]);
+
+  const detailRows = counts.topLevel.map(top => [id, now, sheet.getName(), top.name, top.folders, ...sizeCells(top.bytes)]);
+  if (detailRows.length > 0) {
+    detailSheet.getRange(detailSheet.getLastRow() + 1, 1, detailRows.length, detailRows[0].length).setValues(detailRows);
+  }
+
+  refreshHistoryCharts_(historySheet);
+  return { id: id, folders: counts.folders, newFolders: newFolders, emptyFolders: counts.emptyFolders, bytes: counts.bytes };
+}
+
+/**
+ * Totals of a folder listing, per top-level folder and overall
+ * - Gone and error rows don't count
+ * - Sizes need the size columns (full tree: the top-level rows, subfolders mode: the subfolders added up)
+ * Returns: { folders, newFolders, emptyFolders, bytes, topLevel: [{ name, folders, bytes }] } (sizes '' without size columns)
+ */
+function countListing_(sheet, since) {
+  const headers = getHeaderRow_(sheet);
+  const mode = getModeFromHeaders_(headers);
+  const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues();
+  const col = name => headers.indexOf(name);
+  const nameIdx = getNameCol_(headers) - 1;
+  const bytesIdx = col('Size (Bytes)');
+  const dateIdx = col('Date Added');
+  const actionIdx = col('Action');
+
+  const topLevel = {};
+  const totals = { folders: 0, newFolders: since ? 0 : '', emptyFolders: 0, bytes: bytesIdx >= 0 ? 0 : '' };
+  const topOf = name => topLevel[name] || (topLevel[name] = { name: name, folders: 0, bytes: bytesIdx >= 0 ? 0 : '' });
+
+  for (const row of rows) {
+    const name = String(row[nameIdx] || '');
+    if (!name || name === '(Error)' || String(row[0]).startsWith(GONE_TAG)) continue;
+
+    const bytes = bytesIdx >= 0 ? Number(row[bytesIdx]) || 0 : 0;
+    let top;
+    if (mode === MODE_SUBFOLDERS) {
+      // One row per subfolder - the parent itself only has a row when it has no subfolders
+      top = topOf(String(row[col('Parent Folder')]));
+      if (top.folders === 0) {
+        top.folders++;  // The parent folder itself
+        totals.folders++;
+      }
+      if (name !== '(no subfolders)') {
+        top.folders++;
+        totals.folders++;
+        if (bytesIdx >= 0) top.bytes += bytes;
+      }
+    } else {
+      top = topOf(mode === MODE_TREE ? String(row[col('Path')]).split(CONFIG.PATH_SEPARATOR)[0] : name);
+      top.folders++;
+      totals.folders++;
+      const isTopLevel = mode !== MODE_TREE || Number(row[col('Depth')]) === 1;
+      if (bytesIdx >= 0 && isTopLevel) top.bytes += bytes;
+    }
+
+    const date = dateIdx >= 0 ? parseSheetDate_(row[dateIdx]) : null;
+    if (since && date && date > since) totals.newFolders++;
+    if (actionIdx >= 0 && String(row[actionIdx]).includes('📭 Empty')) totals.emptyFolders++;
   }
+
+  const list = Object.keys(topLevel).map(name => topLevel[name]);
+  if (bytesIdx >= 0) totals.bytes = list.reduce((sum, top) => sum + top.bytes, 0);
+  totals.topLevel = list;
+  return totals;
 }
 
 /**
- * Remove folders marked with "Remove", "Delete", or "X" in the Action column
- * Moves folders to Trash (recoverable for 30 days)
+ * Get (or create) a History sheet with its header row
  */
-function removeMarkedFolders() {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
-  const ui = SpreadsheetApp.getUi();
+function getHistorySheet_(ss, name, headers) {
+  let sheet = ss.getSheetByName(name);
+  if (sheet) return sheet;
 
-  // Determine which column has the URL based on headers
-  const headers = sheet.getRange(1, 1, 1, 6).getValues()[0];
-  let urlCol, actionCol;
+  sheet = ss.insertSheet(name);
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+  return sheet;
+}
 
-  if (headers[0] === 'Folder Name') {
-    // Folders only mode: Folder Name, Folder URL, Date Created, Last Modified, Action
-    urlCol = 2;  // Column B
-    actionCol = 5; // Column E (but we added Action as col F, so it's 5 for 0-indexed headers)
-  } else {
-    // Subfolders mode: Parent Folder, Subfolder, Subfolder URL, Date Created, Last Modified, Action
-    urlCol = 3;  // Column C
-    actionCol = 6; // Column F
+/**
+ * First empty row under the History table (going by the Snapshot column)
+ */
+function findHistoryRow_(historySheet) {
+  const values = historySheet.getRange('A:A').getValues();
+  for (let i = values.length - 1; i >= 0; i--) {
+    if (values[i][0] !== '') return i + 2;
   }
+  return 2;
+}
 
-  // Actually, let's find Action column dynamically
-  actionCol = headers.indexOf('Action') + 1;
-  if (actionCol === 0) {
-    ui.alert('Error', 'Could not find Action column. Please re-run the folder listing.', ui.ButtonSet.OK);
-    return;
-  }
+/**
+ * Snapshot rows from the History sheet: [{ id, takenAt, tab, folders, newFolders, emptyFolders, bytes }]
+ */
+function readHistory_(historySheet) {
+  if (historySheet.getLastRow() <= 1) return [];
+  return historySheet.getRange(2, 1, historySheet.getLastRow() - 1, HISTORY_HEADERS.length).getValues()
+    .filter(row => row[0] !== '')
+    .map(row => ({
+      id: Number(row[0]),
+      takenAt: row[1] instanceof Date ? row[1] : new Date(row[1]),
+      tab: String(row[2]),
+      folders: row[4],
+      newFolders: row[5],
+      emptyFolders: row[6],
+      bytes: row[8]
+    }));
+}
 
-  // Find URL column dynamically too
-  urlCol = headers.indexOf('Folder URL') + 1;
-  if (urlCol === 0) {
-    urlCol = headers.indexOf('Subfolder URL') + 1;
-  }
-  if (urlCol === 0) {
-    ui.alert('Error', 'Could not find URL column. Please re-run the folder listing.', ui.ButtonSet.OK);
-    return;
+/**
+ * Redraw the growth charts to the right of the History table - one block per tab:
+ * a small data table (size in GB) with a folder-count chart and a size chart next to it
+ */
+function refreshHistoryCharts_(historySheet) {
+  historySheet.getCharts().forEach(chart => historySheet.removeChart(chart));
+
+  const firstCol = HISTORY_HEADERS.length + 2;
+  const chartCol = firstCol + HISTORY_CHART_COLS + 1;
+  const neededCols = chartCol + 12;  // Two charts side by side
+  if (historySheet.getMaxColumns() < neededCols) {
+    historySheet.insertColumnsAfter(historySheet.getMaxColumns(), neededCols - historySheet.getMaxColumns());
   }
+  historySheet.getRange(1, firstCol, historySheet.getMaxRows(), HISTORY_CHART_COLS).clearContent();
 
-  // Get all data (skip header row)
-  const lastRow = sheet.getLastRow();
-  if (lastRow <= 1) {
-    ui.alert('No data', 'No folders to process.', ui.ButtonSet.OK);
-    return;
+  const byTab = {};
+  for (const entry of readHistory_(historySheet)) {
+    (byTab[entry.tab] = byTab[entry.tab] || []).push(entry);
   }
 
-  const dataRange = sheet.getRange(2, 1, lastRow - 1, actionCol);
-  const data = dataRange.getValues();
-
-  // Find rows marked for removal
-  const foldersToRemove = [];
-  const rowsToMark = [];
-
-  for (let i = 0; i < data.length; i++) {
-    const action = (data[i][actionCol - 1] || '').toString().trim().toLowerCase();
-    const url = data[i][urlCol - 1];
-
-    if (['remove', 'delete', 'x'].includes(action) && url && url.includes('drive.google.com')) {
-      // Extract folder ID from URL
-      const match = url.match(/folders\/([a-zA-Z0-9_-]+)/);
-      if (match) {
-        foldersToRemove.push({
-          row: i + 2, // Actual row number (1-indexed, after header)
-          name: data[i][0],
-          folderId: match[1]
-        });
-        rowsToMark.push(i + 2);
-      }
-    }
+  let row = 1;
+  for (const tab of Object.keys(byTab)) {
+    const entries = byTab[tab];
+    const data = [
+      [`📈 ${tab}`, '', '', '', ''],
+      ['Taken At', 'Folders', 'New Folders', 'Empty Folders', 'Size (GB)'],
+      ...entries.map(entry => [entry.takenAt, entry.folders, entry.newFolders, entry.emptyFolders,
+        entry.bytes === '' ? '' : Math.round(entry.bytes / Math.pow(1024, 3) * 100) / 100])
+    ];
+    const maxRows = historySheet.getMaxRows();
+    if (row + data.length > maxRows) historySheet.insertRowsAfter(maxRows, row + data.length - maxRows);
+    historySheet.getRange(row, firstCol, data.length, HISTORY_CHART_COLS).setValues(data);
+    historySheet.getRange(row, firstCol, 2, HISTORY_CHART_COLS).setFontWeight('bold');
+
+    const dates = historySheet.getRange(row + 1, firstCol, data.length - 1, 1);
+    historySheet.insertChart(historySheet.newChart()
+      .setChartType(Charts.ChartType.LINE)
+      .addRange(dates)
+      .addRange(historySheet.getRange(row + 1, firstCol + 1, data.length - 1, 3))
+      .setNumHeaders(1)
+      .setPosition(row, chartCol, 0, 0)
+      .setOption('title', `${tab} - folders`)
+      .setOption('width', 480)
+      .setOption('height', 280)
+      .build());
+    historySheet.insertChart(historySheet.newChart()
+      .setChartType(Charts.ChartType.LINE)
+      .addRange(dates)
+      .addRange(historySheet.getRange(row + 1, firstCol + 4, data.length - 1, 1))
+      .setNumHeaders(1)
+      .setPosition(row, chartCol + 6, 0, 0)
+      .setOption('title', `${tab} - total size (GB)`)
+      .setOption('width', 480)
+      .setOption('height', 280)
+      .build());
+
+    // Leave room for the charts (~15 rows tall) before the next tab's block
+    row += Math.max(data.length + 2, 17);
   }
+}
 
-  if (foldersToRemove.length === 0) {
-    ui.alert('No folders marked',
-      'No folders found with "Remove", "Delete", or "X" in the Action column.\n\n' +
-      'To remove folders:\n' +
-      '1. Type "Remove" (or "Delete" or "X") in the Action column for folders you want to delete\n' +
-      '2. Run this function again',
-      ui.ButtonSet.OK);
+/**
+ * Compare two snapshots on the Snapshot Diff sheet - totals, then every top-level folder
+ * (added, removed, grown, shrunk) from the History Detail sheet
+ */
+function compareSnapshots() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const ui = SpreadsheetApp.getUi();
+
+  const historySheet = ss.getSheetByName(HISTORY_SHEET);
+  const history = historySheet ? readHistory_(historySheet) : [];
+  if (history.length < 2) {
+    ui.alert('Not enough snapshots', 'Take at least two snapshots first (History > Take Snapshot).', ui.ButtonSet.OK);
     return;
   }
 
-  // Confirm with user
-  const confirmResponse = ui.alert(
-    'Confirm Removal',
-    `Found ${foldersToRemove.length} folder(s) marked for removal:\n\n` +
-    foldersToRemove.slice(0, 10).map(f => `• ${f.name}`).join('\n') +
-    (foldersToRemove.length > 10 ? `\n... and ${foldersToRemove.length - 10} more` : '') +
-    '\n\nThese folders will be moved to Trash (recoverable for 30 days).\n\nContinue?',
-    ui.ButtonSet.YES_NO
+  // Default: the last two snapshots of the active tab (or of the newest snapshot's tab)
+  const activeName = ss.getActiveSheet().getName();
+  const tab = history.some(entry => entry.tab === activeName) ? activeName : history[history.length - 1].tab;
+  const latest = history.filter(entry => entry.tab === tab).slice(-2);
+
+  const response = ui.prompt(
+    'Compare Snapshots',
+    'Enter two snapshot numbers from the History sheet (e.g. "3 7").\n\n' +
+    (latest.length === 2
+      ? `Leave empty to compare the last two snapshots of "${tab}" (#${latest[0].id} and #${latest[1].id}).`
+      : `"${tab}" has only one snapshot - enter two numbers.`),
+    ui.ButtonSet.OK_CANCEL
   );
+  if (response.getSelectedButton() !== ui.Button.OK) return;
 
-  if (confirmResponse !== ui.Button.YES) {
-    return;
+  const numbers = response.getResponseText().match(/\d+/g) || [];
+  let pair;
+  if (numbers.length === 0 && latest.length === 2) {
+    pair = latest;
+  } else {
+    pair = numbers.slice(0, 2).map(number => history.find(entry => entry.id === Number(number)));
+    if (pair.length < 2 || pair.some(entry => !entry)) {
+      ui.alert('Error', 'Enter two snapshot numbers from the Snapshot column of the History sheet.', ui.ButtonSet.OK);
+      return;
+    }
   }
 
-  // Update status
-  updateStatus_(sheet, `🗑️ Removing ${foldersToRemove.length} folders...`, '#fff3cd');
-
-  let removed = 0;
-  let errors = 0;
-  const errorMessages = [];
-
-  for (const folder of foldersToRemove) {
-    try {
-      const driveFolder = DriveApp.getFolderById(folder.folderId);
-      driveFolder.setTrashed(true);
+  const [before, after] = pair[0].id <= pair[1].id ? pair : [pair[1], pair[0]];
+  const diffSheet = writeSnapshotDiff_(ss, before, after);
+  ss.setActiveSheet(diffSheet);
+  if (before.tab !== after.tab) {
+    ui.alert('Different tabs', `Snapshot #${before.id} is of "${before.tab}" and #${after.id} of "${after.tab}" - ` +
+      'the comparison is still made, but it mixes two listings.', ui.ButtonSet.OK);
+  }
+}
 
-      // Mark the row as removed
-      sheet.getRange(folder.row, actionCol).setValue('✓ Removed');
-      sheet.getRange(folder.row, 1, 1, actionCol).setBackground('#f0f0f0'); // Gray out row
+/**
+ * Write the comparison of two snapshots to the Snapshot Diff sheet
+ */
+function writeSnapshotDiff_(ss, before, after) {
+  let sheet = ss.getSheetByName(SNAPSHOT_DIFF_SHEET);
+  if (sheet) {
+    sheet.clear();
+  } else {
+    sheet = ss.insertSheet(SNAPSHOT_DIFF_SHEET);
+  }
 
-      removed++;
+  const sign = value => (value > 0 ? '+' + value : String(value));
+  const sizeChange = (a, b) => (a === '' || b === '' ? '' : (b >= a ? '+' : '-') + formatBytes_(Math.abs(b - a)));
+  const size = bytes => (bytes === '' ? '' : formatBytes_(bytes));
+  const label = entry => `#${entry.id} - ${entry.tab} - ${formatDate_(entry.takenAt)}`;
 
-      // Update progress every 5 folders
-      if (removed % 5 === 0) {
-        updateStatus_(sheet, `🗑️ Removed ${removed}/${foldersToRemove.length} folders...`, '#fff3cd');
-      }
-    } catch (e) {
-      errors++;
-      errorMessages.push(`${folder.name}: ${e.message}`);
-      sheet.getRange(folder.row, actionCol).setValue('⚠️ Error');
-    }
+  const summary = [
+    ['Snapshot Diff', label(before), label(after), 'Change'],
+    ['Folders', before.folders, after.folders, sign(after.folders - before.folders)],
+    ['Empty Folders', before.emptyFolders, after.emptyFolders, sign(after.emptyFolders - before.emptyFolders)],
+    ['Total Size', size(before.bytes), size(after.bytes), sizeChange(before.bytes, after.bytes)]
+  ];
+  sheet.getRange(1, 1, summary.length, 4).setValues(summary);
+  sheet.getRange(1, 1, 1, 4).setFontWeight('bold');
+
+  // Top-level folders of both snapshots, matched by name
+  const detail = readSnapshotDetail_(ss, [before.id, after.id]);
+  const a = detail[before.id] || {};
+  const b = detail[after.id] || {};
+  const names = Object.keys(a).concat(Object.keys(b).filter(name => !(name in a))).sort();
+
+  const changeColors = { Added: '#d4edda', Removed: '#f8d7da', Grew: '#fff3cd', Shrank: '#e7f1ff' };
+  const rows = names.map(name => {
+    const x = a[name];
+    const y = b[name];
+    let change = 'Same';
+    if (!x) change = 'Added';
+    else if (!y) change = 'Removed';
+    else if (y.folders > x.folders || (y.bytes !== '' && x.bytes !== '' && y.bytes > x.bytes)) change = 'Grew';
+    else if (y.folders < x.folders || (y.bytes !== '' && x.bytes !== '' && y.bytes < x.bytes)) change = 'Shrank';
+
+    const folders = entry => (entry ? entry.folders : 0);
+    const bytes = entry => (entry ? entry.bytes : (x || y).bytes === '' ? '' : 0);
+    return [change, name, folders(x), folders(y), sign(folders(y) - folders(x)),
+      size(bytes(x)), size(bytes(y)), sizeChange(bytes(x), bytes(y))];
+  });
+
+  const headerRow = summary.length + 2;
+  const headers = ['Change', 'Top-Level Folder', 'Folders Before', 'Folders After', 'Folders +/-', 'Size Before', 'Size After', 'Size +/-'];
+  sheet.getRange(headerRow, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+  if (rows.length > 0) {
+    sheet.getRange(headerRow + 1, 1, rows.length, headers.length).setValues(rows);
+    sheet.getRange(headerRow + 1, 1, rows.length, 1)
+      .setBackgrounds(rows.map(row => [changeColors[row[0]] || null]));
+  }
+  for (let i = 1; i <= headers.length; i++) {
+    sheet.autoResizeColumn(i);
   }
+  return sheet;
+}
 
-  // Show completion status
-  if (errors === 0) {
-    updateStatus_(sheet, `✅ Removed ${removed} folder(s) to Trash`, '#d4edda');
-    ui.alert('Complete!', `Successfully moved ${removed} folder(s) to Trash.\n\nYou can recover them from Trash within 30 days.`, ui.ButtonSet.OK);
-  } else {
-    updateStatus_(sheet, `⚠️ Removed ${removed}, ${errors} error(s)`, '#f8d7da');
-    ui.alert('Completed with errors',
-      `Removed: ${removed}\nErrors: ${errors}\n\n` +
-      errorMessages.slice(0, 5).join('\n') +
-      (errorMessages.length > 5 ? `\n... and ${errorMessages.length - 5} more errors` : ''),
-      ui.ButtonSet.OK);
+/**
+ * Top-level folder rows of the given snapshots: { snapshotId: { folderName: { folders, bytes } } }
+ */
+function readSnapshotDetail_(ss, ids) {
+  const detailSheet = ss.getSheetByName(HISTORY_DETAIL_SHEET);
+  const detail = {};
+  if (!detailSheet || detailSheet.getLastRow() <= 1) return detail;
+
+  const rows = detailSheet.getRange(2, 1, detailSheet.getLastRow() - 1, HISTORY_DETAIL_HEADERS.length).getValues();
+  for (const row of rows) {
+    const id = Number(row[0]);
+    if (!ids.includes(id)) continue;
+    (detail[id] = detail[id] || {})[String(row[3])] = { folders: Number(row[4]) || 0, bytes: row[6] };
   }
+  return detail;
 }
 
 /**
- * Remove all folders marked as empty (📭 Empty) in the Action column
- * Moves folders to Trash (recoverable for 30 days)
+ * Update list - sync the sheet with Drive
+ * Adds new folders, refreshes names/dates/status tags, and marks folders that disappeared as Gone
  */
-function removeEmptyFolders() {
+function updateFolderList() {
+  const startTime = Date.now();
   const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
   const ui = SpreadsheetApp.getUi();
 
-  // Find columns dynamically from headers
-  const headers = sheet.getRange(1, 1, 1, 10).getValues()[0];
-
-  const actionCol = headers.indexOf('Action') + 1;
-  if (actionCol === 0) {
-    ui.alert('Error', 'Could not find Action column. Please re-run the folder listing.', ui.ButtonSet.OK);
+  const config = getSheetConfig_(sheet);
+  const problem = getUpdateProblem_(sheet, config);
+  if (problem) {
+    ui.alert(problem.title, problem.message, ui.ButtonSet.OK);
     return;
   }
+  const rootFolderId = config.rootFolderId;
 
-  // Find URL column (either "Folder URL" or "Subfolder URL")
-  let urlCol = headers.indexOf('Folder URL') + 1;
-  if (urlCol === 0) {
-    urlCol = headers.indexOf('Subfolder URL') + 1;
-  }
-  if (urlCol === 0) {
-    ui.alert('Error', 'Could not find URL column. Please re-run the folder listing.', ui.ButtonSet.OK);
+  updateStatus_(sheet, '🔄 Checking for changes...', '#fff3cd');
+
+  // Get root folder
+  let rootFolder;
+  try {
+    rootFolder = rootFolderId ? DriveApp.getFolderById(rootFolderId) : DriveApp.getRootFolder();
+  } catch (e) {
+    ui.alert('Error', 'Could not access folder: ' + e.message, ui.ButtonSet.OK);
     return;
   }
 
-  // Get all data (skip header row)
-  const lastRow = sheet.getLastRow();
-  if (lastRow <= 1) {
-    ui.alert('No data', 'No folders to process.', ui.ButtonSet.OK);
+  const summary = reconcileFolderList_(sheet, rootFolder, scanned => {
+    updateStatus_(sheet, `🔄 Scanned ${scanned} folders...`, '#fff3cd');
+  }, startTime);
+  if (!summary) {
+    updateStatus_(sheet, SYNC_PAUSED_STATUS, '#f8d7da');
+    ui.alert('Paused - Time Limit',
+      'Update List is saved where it stopped.\n\nClick "Update List" from the menu again to continue.',
+      ui.ButtonSet.OK);
     return;
   }
 
-  const dataRange = sheet.getRange(2, 1, lastRow - 1, actionCol);
-  const data = dataRange.getValues();
-
-  // Find rows marked as empty
-  const foldersToRemove = [];
-
-  for (let i = 0; i < data.length; i++) {
-    const action = (data[i][actionCol - 1] || '').toString().trim();
-    const url = data[i][urlCol - 1];
+  // Update status
+  const changed = summary.added + summary.renamed + summary.moved + summary.gone + summary.restored + summary.filtered;
+  if (changed === 0) {
+    updateStatus_(sheet, `✅ Up to date (scanned ${summary.scanned})`, '#d4edda');
+    ui.alert('Up to date', `Scanned ${summary.scanned} folders.\n\nNo changes found.`, ui.ButtonSet.OK);
+  } else {
+    updateStatus_(sheet, `✅ Synced: ${formatSyncSummary_(summary)}`, '#d4edda');
+    ui.alert('Update complete',
+      `Scanned ${summary.scanned} folders.\n\n` +
+      `➕ Added: ${summary.added}\n` +
+      `✏️ Renamed: ${summary.renamed}\n` +
+      `📦 Moved: ${summary.moved}\n` +
+      `${GONE_TAG}: ${summary.gone}\n` +
+      (summary.restored ? `↩️ Back again: ${summary.restored}\n` : '') +
+      (summary.filtered ? `${FILTERED_TAG}: ${summary.filtered} (Filters sheet)\n` : '') +
+      '\nNew folders are added at the bottom of the list.',
+      ui.ButtonSet.OK);
+  }
+}
 
-    // Check for empty folder markers
-    if (action.includes('📭 Empty') && url && url.includes('drive.google.com')) {
-      // Extract folder ID from URL
-      const match = url.match(/folders\/([a-zA-Z0-9_-]+)/);
-      if (match) {
-        foldersToRemove.push({
-          row: i + 2,
-          name: data[i][0],
-          folderId: match[1]
-        });
-      }
-    }
+/**
+ * Why Update List can't run on this tab - { title, message }, or null if it can
+ */
+function getUpdateProblem_(sheet, config) {
+  if (!config) {
+    return {
+      title: 'No folder configured',
+      message: 'Please run "List Folders" on this tab first to set up the folder to monitor.\n\n' +
+        'After that, you can use "Update List" to sync changes.'
+    };
+  }
+  if (hasState_(stateKey_('PROCESS_STATE', sheet))) {
+    return { title: 'Listing not finished', message: 'This tab\'s listing is paused - click "Resume Listing" to finish it first.' };
   }
 
-  if (foldersToRemove.length === 0) {
-    ui.alert('No empty folders found',
-      'No folders marked as empty (📭 Empty) in the Action column.\n\n' +
-      'Run "Find Empty Folders" first to scan and mark empty folders.',
-      ui.ButtonSet.OK);
-    return;
+  const headers = getHeaderRow_(sheet);
+  const mode = getModeFromHeaders_(headers);
+  if (mode === MODE_FILES || mode === MODE_DUPLICATES) {
+    return {
+      title: 'Not available',
+      message: 'Update List works on folder listings only.\n\nRun "List Files" or "Find Duplicates" again to refresh those sheets.'
+    };
+  }
+  if (sheet.getLastRow() <= 1) return { title: 'No data', message: 'Sheet is empty. Please run "List Folders" first.' };
+  if (getUrlCol_(headers) === 0) return { title: 'Error', message: 'Could not find URL column.' };
+
+  const filters = loadFilters_(sheet);
+  if (filters.errors.length > 0) {
+    return {
+      title: 'Fix the Filters sheet first',
+      message: 'Some rules on the "Filters" sheet could not be read:\n\n' + filters.errors.slice(0, 10).join('\n')
+    };
   }
+  return null;
+}
 
-  // Confirm with user
-  const confirmResponse = ui.alert(
-    'Remove Empty Folders',
-    `Found ${foldersToRemove.length} empty folder(s) to remove:\n\n` +
-    foldersToRemove.slice(0, 10).map(f => `• ${f.name}`).join('\n') +
-    (foldersToRemove.length > 10 ? `\n... and ${foldersToRemove.length - 10} more` : '') +
-    '\n\nThese folders will be moved to Trash (recoverable for 30 days).\n\nContinue?',
-    ui.ButtonSet.YES_NO
-  );
+/**
+ * Auto-update function for scheduled trigger (runs silently)
+ * Syncs every tab that has a folder listing, each against its own root folder
+ * Emails the digest afterwards if one is set up (and always when something failed)
+ * The start of each run is recorded until it's done, so a run Google stopped is reported by the next one
+ */
+function autoUpdateFolderList() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const props = PropertiesService.getScriptProperties();
+  const startTime = Date.now();
+  const results = [];
+
+  const unfinished = props.getProperty('AUTO_UPDATE_STARTED');
+  if (unfinished) {
+    results.push({
+      sheetName: '(previous run)',
+      error: `The run that started ${new Date(Number(unfinished)).toLocaleString()} never finished (stopped by Google's time limit?) - ` +
+        'its tabs may not have been updated'
+    });
+  }
+  props.setProperty('AUTO_UPDATE_STARTED', String(startTime));
 
-  if (confirmResponse !== ui.Button.YES) {
-    return;
+  try {
+    runAutoUpdate_(ss, startTime, results);
+  } catch (e) {
+    results.push({ sheetName: '(whole run)', error: e.message });
+    sendUpdateDigest_(results);
+    props.deleteProperty('AUTO_UPDATE_STARTED');
+    throw e;
   }
+  sendUpdateDigest_(results);
+  props.deleteProperty('AUTO_UPDATE_STARTED');
+}
 
-  // Update status
-  updateStatus_(sheet, `🗑️ Removing ${foldersToRemove.length} empty folders...`, '#fff3cd');
+/**
+ * The nightly sync itself - one result per tab: { sheetName, summary } or { sheetName, error } or { sheetName, skipped }
+ */
+function runAutoUpdate_(ss, startTime, results) {
+  for (const sheet of getConfiguredSheets_(ss)) {
+    const config = getSheetConfig_(sheet);
+    if (config.mode === MODE_FILES) continue;                         // Only folder listings are auto-updated
+    if (hasState_(stateKey_('PROCESS_STATE', sheet))) continue;       // Listing still in progress
+    if (getModeFromHeaders_(getHeaderRow_(sheet)) === MODE_DUPLICATES) continue;
+    if (sheet.getLastRow() <= 1 || getUrlCol_(getHeaderRow_(sheet)) === 0) continue;
 
-  let removed = 0;
-  let errors = 0;
-  const errorMessages = [];
+    if (Date.now() - startTime > CONFIG.MAX_RUNTIME_MS) {
+      stampStatus_(sheet, 'Auto-update skipped: out of time - ' + new Date().toLocaleString());
+      results.push({ sheetName: sheet.getName(), skipped: true });
+      continue;
+    }
 
-  for (const folder of foldersToRemove) {
+    // One tab failing (folder deleted, access removed) shouldn't stop the others
+    let rootFolder;
     try {
-      const driveFolder = DriveApp.getFolderById(folder.folderId);
-      driveFolder.setTrashed(true);
-
-      // Mark the row as removed
-      sheet.getRange(folder.row, actionCol).setValue('✓ Removed');
-      sheet.getRange(folder.row, 1, 1, actionCol).setBackground('#f0f0f0');
-
-      removed++;
+      rootFolder = config.rootFolderId ? DriveApp.getFolderById(config.rootFolderId) : DriveApp.getRootFolder();
+    } catch (e) {
+      const message = `Root folder no longer accessible (${config.rootFolderId}): ${e.message}`;
+      stampStatus_(sheet, 'Auto-update failed: ' + new Date().toLocaleString() + ' - ' + message);
+      results.push({ sheetName: sheet.getName(), error: message });
+      continue;
+    }
 
-      if (removed % 5 === 0) {
-        updateStatus_(sheet, `🗑️ Removed ${removed}/${foldersToRemove.length} empty folders...`, '#fff3cd');
+    let summary;
+    try {
+      summary = reconcileFolderList_(sheet, rootFolder, null, startTime);
+      if (!summary) {
+        stampStatus_(sheet, 'Auto-update paused: out of time - ' + new Date().toLocaleString() + ' - it carries on next time');
+        results.push({ sheetName: sheet.getName(), skipped: true });
+        continue;
       }
+      stampStatus_(sheet, 'Auto-updated: ' + new Date().toLocaleString() + ' - ' + formatSyncSummary_(summary));
+      results.push({ sheetName: sheet.getName(), summary: summary });
     } catch (e) {
-      errors++;
-      errorMessages.push(`${folder.name}: ${e.message}`);
-      sheet.getRange(folder.row, actionCol).setValue('⚠️ Error');
+      stampStatus_(sheet, 'Auto-update failed: ' + new Date().toLocaleString() + ' - ' + e.message);
+      results.push({ sheetName: sheet.getName(), error: e.message });
+      continue;
     }
-  }
 
-  // Show completion status
-  if (errors === 0) {
-    updateStatus_(sheet, `✅ Removed ${removed} empty folder(s) to Trash`, '#d4edda');
-    ui.alert('Complete!', `Successfully moved ${removed} empty folder(s) to Trash.\n\nYou can recover them from Trash within 30 days.`, ui.ButtonSet.OK);
-  } else {
-    updateStatus_(sheet, `⚠️ Removed ${removed}, ${errors} error(s)`, '#f8d7da');
-    ui.alert('Completed with errors',
-      `Removed: ${removed}\nErrors: ${errors}\n\n` +
-      errorMessages.slice(0, 5).join('\n') +
-      (errorMessages.length > 5 ? `\n... and ${errorMessages.length - 5} more errors` : ''),
-      ui.ButtonSet.OK);
+    for (const error of runNightlyExports_(sheet)) {
+      results.push({ sheetName: `${sheet.getName()} (export)`, error: error });
+    }
+
+    if (PropertiesService.getScriptProperties().getProperty('AUTO_UPDATE_SNAPSHOT') === 'true') {
+      try {
+        saveSnapshot_(sheet, 'Nightly', summary);
+      } catch (e) {
+        results.push({ sheetName: `${sheet.getName()} (snapshot)`, error: e.message });
+      }
+    }
   }
 }
 
 /**
- * Update list - only add new folders that aren't already in the sheet
+ * Email the nightly digest to the addresses set in Enable Auto-Update
+ * Lists new/changed folders per tab (name, parent, link, status tag)
+ * "Only if changed" skips quiet nights - failures are always sent
  */
-function updateFolderList() {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
-  const ui = SpreadsheetApp.getUi();
+function sendUpdateDigest_(results) {
   const props = PropertiesService.getScriptProperties();
+  const recipients = props.getProperty('AUTO_UPDATE_DIGEST_EMAIL');
+  if (!recipients) return;
 
-  // Check if we have a saved folder ID
-  let rootFolderId = props.getProperty('ROOT_FOLDER_ID');
-  if (!rootFolderId && rootFolderId !== '') {
-    ui.alert('No folder configured',
-      'Please run "List Folders" first to set up the folder to monitor.\n\n' +
-      'After that, you can use "Update List" to add only new folders.',
-      ui.ButtonSet.OK);
-    return;
+  const failed = results.filter(result => result.error);
+  const changeCount = results.reduce((total, result) => total + (result.summary ? result.summary.changeCount : 0), 0);
+  if (failed.length === 0 && changeCount === 0 && props.getProperty('AUTO_UPDATE_DIGEST_ONLY_CHANGES') === 'true') return;
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const lines = [];
+  if (failed.length > 0) {
+    lines.push('❌ FAILED', ...failed.map(result => `• ${result.sheetName}: ${result.error}`), '');
+  }
+
+  for (const result of results) {
+    if (result.skipped) {
+      lines.push(`⏭️ ${result.sheetName}: not finished (out of time) - it carries on next time`, '');
+      continue;
+    }
+    if (!result.summary) continue;
+
+    const changes = result.summary.changes;
+    lines.push(`📁 ${result.sheetName}: ${formatSyncSummary_(result.summary)}`);
+    for (const change of changes) {
+      lines.push(`• [${change.change}] ${change.name} (in ${change.parent})` + (change.status ? ` - ${change.status}` : ''));
+      if (change.url) lines.push(`  ${change.url}`);
+    }
+    if (result.summary.changeCount > changes.length) {
+      lines.push(`... and ${result.summary.changeCount - changes.length} more - see the sheet`);
+    }
+    lines.push('');
   }
 
-  // Determine mode from headers
-  const headers = sheet.getRange(1, 1, 1, 10).getValues()[0];
-  const includeSubfolders = headers.includes('Subfolder');
+  const subject = failed.length > 0
+    ? `Folder auto-update failed (${failed.length} tab(s))`
+    : changeCount > 0 ? `Folder auto-update: ${changeCount} new/changed folder(s)` : 'Folder auto-update: no changes';
+  MailApp.sendEmail(recipients, `${subject} - ${ss.getName()}`, `${lines.join('\n')}\n${ss.getUrl()}`);
+}
+
+/**
+ * Sync a folder listing sheet with what's in Drive now
+ * - Refreshes name, parent/path, date and status tag of every listed folder
+ * - Marks rows whose folder is no longer under the root as Gone (trashed, deleted or moved out)
+ * - Appends folders that aren't listed yet
+ * - Marks rows a Filters sheet rule now leaves out as Filtered out (they're not deleted)
+ * Runs in three steps (scan Drive, check the listed rows, add the new folders) with timeout protection -
+ * when time runs out the progress is saved and the next sync of this tab carries on from there
+ * startTime: when the execution started (the nightly update shares one time limit between its tabs)
+ * Returns: { scanned, added, renamed, moved, gone, restored, filtered, changeCount, changes }, or null if it paused
+ * changes: [{ change, name, parent, url, status }] - the first DIGEST_MAX_CHANGES new/changed folders, for the digest email
+ */
+function reconcileFolderList_(sheet, rootFolder, onProgress, startTime) {
+  const headers = getHeaderRow_(sheet);
+  const mode = getModeFromHeaders_(headers);
+  const withStats = headers.includes('Size (Bytes)');
+  const withSharing = headers.includes('Sharing');
+  const numCols = getHeadersForMode_(mode, withStats, withSharing).length;
+
+  // Column positions (0-based, -1 if the mode doesn't have it)
+  const urlIdx = getUrlCol_(headers) - 1;
+  const nameIdx = getNameCol_(headers) - 1;
+  const dateIdx = headers.indexOf('Date Added');
+  const parentIdx = headers.indexOf('Parent Folder');
+  const pathIdx = headers.indexOf('Path');
+  const depthIdx = headers.indexOf('Depth');
+  const actionIdx = headers.indexOf('Action');
+  const sharingIdx = headers.indexOf('Owner');
+
+  const filters = loadFilters_(sheet);
+  if (filters.errors.length > 0) throw new Error('Fix the Filters sheet first: ' + filters.errors.join('; '));
+  showActiveFilters_(sheet, filters);
+
+  // Pick up a sync that ran out of time - the folders it found are on its scratch sheet
+  const ss = sheet.getParent();
+  const stateKey = stateKey_('SYNC_STATE', sheet);
+  let state = loadState_(stateKey);
+  let scanSheet = ss.getSheetByName(getSyncScanSheetName_(sheet));
+  if (!state || !scanSheet) {
+    if (scanSheet) ss.deleteSheet(scanSheet);
+    scanSheet = null;
+    state = {
+      step: 'scan',
+      stack: [[rootFolder.getId(), '', 0, false, null]],  // Folders still to look inside: [folderId, path/name, depth, insideIncluded, date ms]
+      found: 0,
+      rowIndex: 0,                                         // Next listed row to check
+      summary: {
+        scanned: 0, added: 0, renamed: 0, moved: 0, gone: 0, restored: 0, filtered: 0,
+        changeCount: 0, changes: []
+      }
+    };
+  }
+  const summary = state.summary;
+
+  const current = loadSyncScan_(scanSheet);
+  const scanRows = [];  // Found in this run, not on the scratch sheet yet
+  const record = (row, folder) => {
+    addSyncScanRow_(current, row, folder);
+    scanRows.push(row);
+  };
+
+  const outOfTime = () => Date.now() - startTime > CONFIG.MAX_RUNTIME_MS;
+  const pause = () => {
+    if (!scanSheet) {
+      scanSheet = ss.insertSheet(getSyncScanSheetName_(sheet));
+      scanSheet.getRange(1, 1, 1, SYNC_SCAN_HEADERS.length).setValues([SYNC_SCAN_HEADERS]);
+      scanSheet.hideSheet();
+      ss.setActiveSheet(sheet);
+    }
+    appendScanRows_(scanSheet, scanRows);
+    saveState_(stateKey, state);
+    return null;
+  };
+
+  // Step 1: scan the folders under the root that a listing of this mode should contain (Filters sheet rules applied)
+  const api = typeof Drive !== 'undefined' ? { children: {}, meta: {} } : null;
+  while (state.stack.length > 0) {
+    if (outOfTime()) return pause();
+
+    const [folderId, place, depth, insideIncluded, dateMs] = state.stack.pop();
+    if (api && !api.children[folderId]) {
+      // Read ahead - the next folders on the stack in the same query
+      const upcoming = state.stack.slice(-(FOLDER_QUERY_PARENTS - 1)).map(entry => entry[0]);
+      fetchChildFolders_([folderId, ...upcoming.filter(id => !api.children[id])], api);
+    }
+    const children = getChildFolders_({ id: folderId, folder: api ? null : DriveApp.getFolderById(folderId) }, api);
+
+    const next = [];
+    for (const child of children) {
+      state.found++;
+      if (onProgress && state.found % 50 === 0) onProgress(state.found);
+
+      // Full tree - every level
+      if (mode === MODE_TREE) {
+        const path = joinPath_(place, child.name);
+        if (isExcludedName_(filters, child.name)) {
+          record(['filtered', child.id, '', '', '', '', '', '']);
+          record(['filteredPath', '', '', '', '', '', path, '']);
+          continue;
+        }
+        if (passesFilters_(filters, child, insideIncluded)) {
+          record(['folder', child.id, child.name, child.url, child.date, '', path, depth + 1], child.folder);
+        } else {
+          record(['filtered', child.id, '', '', '', '', '', '']);
+        }
+        next.push([child.id, path, depth + 1, insideIncluded || (filters.include.length > 0 && isIncludedName_(filters, child.name)), null]);
+        continue;
+      }
+
+      // Top-level folders (and, in subfolders mode, the parents to look inside next)
+      if (depth === 0) {
+        record(['top', '', child.name, '', '', '', '', '']);
+        if (mode !== MODE_SUBFOLDERS) {
+          if (passesFilters_(filters, child, false)) {
+            record(['folder', child.id, child.name, child.url, child.date, '', '', ''], child.folder);
+          } else {
+            record(['filtered', child.id, '', '', '', '', '', '']);
+          }
+        } else if (isExcludedName_(filters, child.name)) {
+          record(['filteredParent', '', child.name, '', '', '', '', '']);
+        } else {
+          next.push([child.id, child.name, 1, filters.include.length > 0 && isIncludedName_(filters, child.name), child.date.getTime()]);
+        }
+        continue;
+      }
+
+      if (passesFilters_(filters, child, insideIncluded)) {
+        record(['folder', child.id, child.name, child.url, child.date, place, '', ''], child.folder);
+      } else {
+        record(['filtered', child.id, '', '', '', '', '', '']);
+      }
+    }
 
-  // Get existing folder URLs from sheet to avoid duplicates
-  const lastRow = sheet.getLastRow();
-  if (lastRow <= 1) {
-    ui.alert('No data', 'Sheet is empty. Please run "List Folders" first.', ui.ButtonSet.OK);
-    return;
-  }
+    // Subfolders mode: a parent without subfolders gets a "(no subfolders)" row
+    if (mode === MODE_SUBFOLDERS && depth === 1 && children.length === 0) {
+      const parent = { id: folderId, name: place, date: new Date(dateMs) };
+      if (passesFilters_(filters, parent, false)) {
+        record(['empty', folderId, place, '', parent.date, '', '', ''], parent.folder);
+      } else {
+        record(['filteredParent', '', place, '', '', '', '', '']);
+      }
+    }
 
-  // Find URL column
-  let urlCol = headers.indexOf('Folder URL') + 1;
-  if (urlCol === 0) {
-    urlCol = headers.indexOf('Subfolder URL') + 1;
-  }
-  if (urlCol === 0) {
-    ui.alert('Error', 'Could not find URL column.', ui.ButtonSet.OK);
-    return;
+    for (let i = next.length - 1; i >= 0; i--) {
+      state.stack.push(next[i]);
+    }
   }
 
-  // Get all existing URLs
-  const existingUrls = new Set();
-  const urlData = sheet.getRange(2, urlCol, lastRow - 1, 1).getValues();
-  for (const row of urlData) {
-    if (row[0]) existingUrls.add(row[0]);
+  if (state.step === 'scan') {
+    summary.scanned = Object.keys(current.folders).length + Object.keys(current.emptyParents).length;
+    state.step = 'rows';
   }
 
-  updateStatus_(sheet, '🔄 Checking for new folders...', '#fff3cd');
+  const lastRow = sheet.getLastRow();
+  const rowCount = Math.max(lastRow - 1, 0);
+  const data = rowCount ? sheet.getRange(2, 1, rowCount, numCols).getValues() : [];
+  const colors = rowCount ? sheet.getRange(2, 1, rowCount, 1).getBackgrounds() : [];
+
+  const today = formatDate_(new Date());
+  const openFolder = item => item.folder || (item.folder = DriveApp.getFolderById(item.id));
+
+  // Parent shown in the digest - the parent column, else the parent part of the path, else the root
+  const parentPath = path => path.substring(0, Math.max(path.lastIndexOf(CONFIG.PATH_SEPARATOR), 0));
+  const parentOf = row => (parentIdx >= 0 && row[parentIdx]) || (pathIdx >= 0 && parentPath(String(row[pathIdx]))) || rootFolder.getName();
+  const noteChange = (change, row, url) => {
+    summary.changeCount++;
+    if (summary.changes.length >= DIGEST_MAX_CHANGES) return;  // Kept in the saved state, so only what the digest shows
+    summary.changes.push({
+      change: change, name: String(row[nameIdx]), parent: String(parentOf(row)), url: url || '', status: String(row[0])
+    });
+  };
+
+  const refresh = (i, date) => {
+    const status = getStatusTag_(date);
+    data[i][0] = status ? status.tag : '';
+    colors[i][0] = status ? status.color : '#ffffff';
+    data[i][dateIdx] = formatDate_(date);
+  };
+  const markGone = (i, reason) => {
+    data[i][0] = `${GONE_TAG} ${today} (${reason})`;
+    colors[i][0] = GONE_COLOR;
+    summary.gone++;
+    noteChange('Gone', data[i], urlIdx >= 0 ? data[i][urlIdx] : '');
+  };
+  const markFiltered = i => {
+    data[i][0] = FILTERED_TAG;
+    colors[i][0] = FILTERED_COLOR;
+    summary.filtered++;
+  };
+  // Left out by the filters (or inside a folder that was)
+  const isFiltered = (row, folderId) => current.filtered.has(folderId) ||
+    (pathIdx >= 0 && current.filteredPaths.some(path => String(row[pathIdx]).startsWith(path + CONFIG.PATH_SEPARATOR))) ||
+    (parentIdx >= 0 && current.filteredParents.has(String(row[parentIdx])));
+  // Rows that don't count as listed (blank, errors, trashed from this sheet)
+  const isSkipped = row => row[1] === '' || row[1] === '(Error)' || String(row[actionIdx]).includes('Removed');
+
+  // Step 2: check the listed rows
+  if (state.step === 'rows') {
+    const from = state.rowIndex;
+    let i = from;
+    for (; i < data.length; i++) {
+      if (outOfTime()) break;
+
+      const row = data[i];
+      if (isSkipped(row)) continue;
+      const wasGone = String(row[0]).startsWith(GONE_TAG);
+      const wasFiltered = String(row[0]).startsWith(FILTERED_TAG);
+
+      // "(no subfolders)" rows have no URL - match them on the parent's name
+      if (mode === MODE_SUBFOLDERS && row[2] === '(no subfolders)') {
+        const parentName = String(row[1]);
+        const parent = current.emptyParents[parentName];
+        if (parent) {
+          refresh(i, parent.date);
+          if (wasGone) {
+            summary.restored++;
+            noteChange('Back', row, '');
+          }
+        } else if (current.filteredParents.has(parentName)) {
+          if (!wasGone && !wasFiltered) markFiltered(i);
+        } else if (!wasGone) {
+          markGone(i, current.topNames.has(parentName) ? 'has subfolders now' : 'parent folder gone');
+        }
+        continue;
+      }
 
-  // Get root folder
-  let rootFolder;
-  try {
-    rootFolder = rootFolderId ? DriveApp.getFolderById(rootFolderId) : DriveApp.getRootFolder();
-  } catch (e) {
-    ui.alert('Error', 'Could not access folder: ' + e.message, ui.ButtonSet.OK);
-    return;
-  }
+      const folderId = getIdFromUrl_(row[urlIdx]);
+      if (!folderId) continue;
+      const item = current.folders[folderId];
 
-  const numCols = includeSubfolders ? 6 : 5;
-  const data = [];
-  const statusData = [];
-  let newCount = 0;
-  let scanned = 0;
-
-  // Scan folders
-  const folders = rootFolder.getFolders();
-  while (folders.hasNext()) {
-    const folder = folders.next();
-    scanned++;
-
-    if (includeSubfolders) {
-      const subfolders = folder.getFolders();
-      if (!subfolders.hasNext()) {
-        // Check if parent folder URL already exists
-        if (!existingUrls.has(folder.getUrl())) {
-          // This case doesn't apply well for subfolders mode
+      if (!item) {
+        if (isFiltered(row, folderId)) {
+          if (!wasGone && !wasFiltered) markFiltered(i);
+        } else if (!wasGone) {
+          markGone(i, describeMissingFolder_(folderId));
         }
-      } else {
-        while (subfolders.hasNext()) {
-          const sub = subfolders.next();
-          const subUrl = sub.getUrl();
+        continue;
+      }
 
-          if (!existingUrls.has(subUrl)) {
-            const subDate = sub.getLastUpdated();
-            const subStatus = getUploadStatus_(subDate);
-            data.push([
-              subStatus ? subStatus.tag : '',
-              folder.getName(),
-              sub.getName(),
-              subUrl,
-              formatDate_(subDate),
-              ''
-            ]);
-            statusData.push(subStatus);
-            newCount++;
-          }
+      const changed = [];
+      if (wasGone) {
+        summary.restored++;
+        changed.push('Back');
+      }
+
+      // Sheets turns names like "2025" into numbers, so compare as text
+      if (String(row[nameIdx]) !== item.name) {
+        row[nameIdx] = item.name;
+        summary.renamed++;
+        changed.push('Renamed');
+      }
+      if (parentIdx >= 0 && String(row[parentIdx]) !== item.parentName) {
+        row[parentIdx] = item.parentName;
+        summary.moved++;
+        changed.push('Moved');
+      }
+      if (pathIdx >= 0 && String(row[pathIdx]) !== item.path) {
+        // Only the parent part of the path tells us it moved (the last part is its own name)
+        if (parentPath(String(row[pathIdx])) !== parentPath(item.path)) {
+          summary.moved++;
+          changed.push('Moved');
         }
+        row[pathIdx] = item.path;
+        row[depthIdx] = item.depth;
       }
-    } else {
-      const folderUrl = folder.getUrl();
-      if (!existingUrls.has(folderUrl)) {
-        const folderDate = folder.getLastUpdated();
-        const folderStatus = getUploadStatus_(folderDate);
-        data.push([
-          folderStatus ? folderStatus.tag : '',
-          folder.getName(),
-          folderUrl,
-          formatDate_(folderDate),
-          ''
-        ]);
-        statusData.push(folderStatus);
-        newCount++;
+      refresh(i, item.date);
+      if (changed.length > 0) noteChange(changed.join(', '), row, item.url);
+
+      // Sharing changes all the time, so the audit columns are always refreshed
+      if (withSharing) {
+        row.splice(sharingIdx, SHARING_HEADERS.length, ...getSharingCells_(openFolder(item)));
       }
     }
 
-    if (scanned % 20 === 0) {
-      updateStatus_(sheet, `🔄 Scanned ${scanned} folders, found ${newCount} new...`, '#fff3cd');
+    if (i > from) {
+      const checked = data.slice(from, i);
+      sheet.getRange(from + 2, 1, checked.length, numCols).setValues(checked);
+      sheet.getRange(from + 2, 1, checked.length, 1).setBackgrounds(colors.slice(from, i));
+      applySharingColors_(sheet, from + 2, checked);
+    }
+    if (i < data.length) {
+      state.rowIndex = i;
+      return pause();
     }
+    state.step = 'new';
   }
 
-  // Save new folders
-  if (data.length > 0) {
-    saveData_(sheet, data, numCols, statusData);
+  // Step 3: append folders that aren't listed yet (sorted so new siblings end up together)
+  // Rows added by an earlier run of this sync are listed by now, so they're left out here
+  const listedIds = new Set();
+  const listedEmptyParents = new Set();
+  for (const row of data) {
+    if (isSkipped(row)) continue;
+    if (mode === MODE_SUBFOLDERS && row[2] === '(no subfolders)') {
+      listedEmptyParents.add(String(row[1]));
+    } else {
+      const folderId = getIdFromUrl_(row[urlIdx]);
+      if (folderId) listedIds.add(folderId);
+    }
   }
 
-  // Update status
-  if (newCount === 0) {
-    updateStatus_(sheet, `✅ No new folders found (scanned ${scanned})`, '#d4edda');
-    ui.alert('Up to date', `Scanned ${scanned} folders.\n\nNo new folders found.`, ui.ButtonSet.OK);
-  } else {
-    updateStatus_(sheet, `✅ Added ${newCount} new folder(s)`, '#d4edda');
-    ui.alert('Update complete', `Scanned ${scanned} folders.\n\nAdded ${newCount} new folder(s) to the list.`, ui.ButtonSet.OK);
+  const newItems = Object.keys(current.folders)
+    .filter(id => !listedIds.has(id))
+    .map(id => current.folders[id]);
+  if (mode === MODE_SUBFOLDERS) {
+    for (const name in current.emptyParents) {
+      if (!listedEmptyParents.has(name)) newItems.push(current.emptyParents[name]);
+    }
   }
+  const sortKey = item => item.path || (item.parentName ? joinPath_(item.parentName, item.name) : item.name);
+  newItems.sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+
+  const newRows = [];
+  const statusData = [];
+  for (const item of newItems) {
+    if (outOfTime()) break;
+    if (withStats || withSharing) openFolder(item);
+    const built = buildListingRow_(mode, item, withStats, withSharing);
+    newRows.push(built.row);
+    statusData.push(built.status);
+    noteChange('New', built.row, item.url);
+  }
+  saveData_(sheet, newRows, numCols, statusData);
+  summary.added += newRows.length;
+  if (newRows.length < newItems.length) return pause();
+
+  // Done! Clean up
+  deleteState_(stateKey);
+  if (scanSheet) ss.deleteSheet(scanSheet);
+  return summary;
 }
 
 /**
- * Auto-update function for scheduled trigger (runs silently)
+ * Name of a tab's Update List scratch sheet
  */
-function autoUpdateFolderList() {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
-  const props = PropertiesService.getScriptProperties();
+function getSyncScanSheetName_(sheet) {
+  return `${SYNC_SCAN_SHEET} ${sheet.getSheetId()}`;
+}
+
+/**
+ * Drop a tab's unfinished Update List (saved progress and scratch sheet)
+ */
+function clearSyncProgress_(sheet) {
+  deleteState_(stateKey_('SYNC_STATE', sheet));
+  const scanSheet = sheet.getParent().getSheetByName(getSyncScanSheetName_(sheet));
+  if (scanSheet) sheet.getParent().deleteSheet(scanSheet);
+}
 
-  let rootFolderId = props.getProperty('ROOT_FOLDER_ID');
-  if (!rootFolderId && rootFolderId !== '') {
-    return; // No folder configured, skip
+/**
+ * Folders an unfinished Update List found so far, from its scratch sheet (empty without one)
+ * Returns: {
+ *   folders: { folderId: { id, name, url, date, parentName, path, depth, folder? } },
+ *   emptyParents: { name: { id, name, date, folder? } },  // Subfolders mode: parents without subfolders
+ *   topNames: Set of top-level folder names,
+ *   filtered: Set of folder IDs the filters left out,
+ *   filteredPaths: [path] of excluded folders (full tree - nothing under them was scanned),
+ *   filteredParents: Set of top-level folder names left out with their subfolders (subfolders mode)
+ * }
+ */
+function loadSyncScan_(scanSheet) {
+  const current = {
+    folders: {}, emptyParents: {}, topNames: new Set(),
+    filtered: new Set(), filteredPaths: [], filteredParents: new Set()
+  };
+  const lastRow = scanSheet ? scanSheet.getLastRow() : 0;
+  if (lastRow <= 1) return current;
+
+  for (const row of scanSheet.getRange(2, 1, lastRow - 1, SYNC_SCAN_HEADERS.length).getValues()) {
+    addSyncScanRow_(current, row);
   }
+  return current;
+}
 
-  // Determine mode from headers
-  const headers = sheet.getRange(1, 1, 1, 10).getValues()[0];
-  const includeSubfolders = headers.includes('Subfolder');
+/**
+ * Add one scratch sheet row to the scan result (see loadSyncScan_)
+ * Row: [kind, id, name, url, date, parentName, path, depth] - kind is folder, empty, top, filtered, filteredPath or filteredParent
+ * folder: the DriveApp folder if the scan has it already (not saved - opened again by ID when needed)
+ */
+function addSyncScanRow_(current, row, folder) {
+  // Sheets turns names like "2025" into numbers, so read them back as text
+  const [kind, id, name, url, date, parentName, path, depth] = row.map((value, i) => (i === 4 || i === 7 ? value : String(value)));
+
+  if (kind === 'folder') {
+    current.folders[id] = { id: id, name: name, url: url, date: date, parentName: parentName, path: path, depth: depth, folder: folder };
+  } else if (kind === 'empty') {
+    current.emptyParents[name] = { id: id, name: name, date: date, folder: folder };
+  } else if (kind === 'top') {
+    current.topNames.add(name);
+  } else if (kind === 'filtered') {
+    current.filtered.add(id);
+  } else if (kind === 'filteredPath') {
+    current.filteredPaths.push(path);
+  } else if (kind === 'filteredParent') {
+    current.filteredParents.add(name);
+  }
+}
 
-  const lastRow = sheet.getLastRow();
-  if (lastRow <= 1) return;
+/**
+ * Work out why a listed folder is no longer under the root
+ */
+function describeMissingFolder_(folderId) {
+  try {
+    const folder = DriveApp.getFolderById(folderId);
+    if (folder.isTrashed()) return 'trashed';
+    const parents = folder.getParents();
+    return parents.hasNext() ? `moved to "${parents.next().getName()}"` : 'moved out';
+  } catch (e) {
+    return 'deleted or no access';
+  }
+}
 
-  // Find URL column
-  let urlCol = headers.indexOf('Folder URL') + 1;
-  if (urlCol === 0) urlCol = headers.indexOf('Subfolder URL') + 1;
-  if (urlCol === 0) return;
+/**
+ * Short summary of a sync for the status column
+ */
+function formatSyncSummary_(summary) {
+  return `+${summary.added} new, ${summary.renamed + summary.moved} changed, ${summary.gone} gone` +
+    (summary.restored ? `, ${summary.restored} back` : '') +
+    (summary.filtered ? `, ${summary.filtered} filtered out` : '');
+}
 
-  // Get existing URLs
-  const existingUrls = new Set();
-  const urlData = sheet.getRange(2, urlCol, lastRow - 1, 1).getValues();
-  for (const row of urlData) {
-    if (row[0]) existingUrls.add(row[0]);
-  }
+/**
+ * Turn on auto-continue - paused listings schedule their own next run instead of waiting for Resume
+ */
+function enableAutoContinue() {
+  const ui = SpreadsheetApp.getUi();
+  const props = PropertiesService.getScriptProperties();
+
+  const response = ui.prompt(
+    'Auto-Continue Long Listings',
+    'When a listing hits the time limit, it will continue by itself about a minute later, until it\'s done.\n\n' +
+    'Email address to notify when it finishes or fails (leave empty for no email):',
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  props.setProperty('AUTO_CONTINUE', 'true');
+  props.setProperty('AUTO_CONTINUE_EMAIL', response.getResponseText().trim());
+
+  // Pick up listings that are already paused
+  const paused = getPausedSheets_(SpreadsheetApp.getActiveSpreadsheet()).length > 0;
+  if (paused) scheduleContinuation_();
+
+  ui.alert('Auto-Continue Enabled',
+    'Long listings will now continue automatically - no need to click Resume.\n\n' +
+    'Progress is shown in the status column.' +
+    (paused ? '\n\nPaused listings will continue in about a minute.' : ''),
+    ui.ButtonSet.OK);
+}
+
+/**
+ * Turn off auto-continue (a paused listing waits for Resume again)
+ */
+function disableAutoContinue() {
+  const props = PropertiesService.getScriptProperties();
+  props.deleteProperty('AUTO_CONTINUE');
+  props.deleteProperty('AUTO_CONTINUE_EMAIL');
+  props.deleteProperty('AUTO_CONTINUE_FAILURES');
+  deleteContinuationTriggers_();
+
+  const ui = SpreadsheetApp.getUi();
+  ui.alert('Auto-Continue Disabled', 'Paused listings will wait for "Resume Listing" again.', ui.ButtonSet.OK);
+}
+
+/**
+ * Trigger handler - continues a paused listing (runs without UI)
+ * One tab per run; the next run picks up the next paused tab
+ */
+function continueListing() {
+  deleteContinuationTriggers_();
+
+  const props = PropertiesService.getScriptProperties();
+  const sheet = getPausedSheets_(SpreadsheetApp.getActiveSpreadsheet())[0];
+  if (!sheet) return; // Finished or reset in the meantime
 
-  let rootFolder;
   try {
-    rootFolder = rootFolderId ? DriveApp.getFolderById(rootFolderId) : DriveApp.getRootFolder();
+    runListing_(sheet, getSheetConfig_(sheet), true);
   } catch (e) {
-    return;
+    // Drive errors are often temporary - try again a few times before giving up
+    const failures = parseInt(props.getProperty('AUTO_CONTINUE_FAILURES') || '0', 10) + 1;
+
+    if (failures < 3) {
+      props.setProperty('AUTO_CONTINUE_FAILURES', String(failures));
+      scheduleContinuation_();
+      updateStatus_(sheet, `⚠️ Error (${e.message}) - retrying in ~1 min (${failures}/3)`, '#fff3cd');
+      return;
+    }
+
+    props.deleteProperty('AUTO_CONTINUE_FAILURES');
+    updateStatus_(sheet, `❌ Stopped after errors: ${e.message} - Click Resume to try again`, '#f8d7da');
+    sendAutoContinueEmail_('Folder listing failed', `The listing stopped after repeated errors:\n\n${e.message}\n\n` +
+      'Progress is saved - open the sheet and click "Resume Listing" to try again.');
   }
+}
 
-  const numCols = includeSubfolders ? 6 : 5;
-  const data = [];
-  const statusData = [];
+/**
+ * Schedule a one-off run of continueListing in about a minute
+ */
+function scheduleContinuation_() {
+  deleteContinuationTriggers_();
+  ScriptApp.newTrigger('continueListing')
+    .timeBased()
+    .after(60 * 1000)
+    .create();
+}
 
-  const folders = rootFolder.getFolders();
-  while (folders.hasNext()) {
-    const folder = folders.next();
-
-    if (includeSubfolders) {
-      const subfolders = folder.getFolders();
-      while (subfolders.hasNext()) {
-        const sub = subfolders.next();
-        const subUrl = sub.getUrl();
-        if (!existingUrls.has(subUrl)) {
-          const subDate = sub.getLastUpdated();
-          const subStatus = getUploadStatus_(subDate);
-          data.push([
-            subStatus ? subStatus.tag : '',
-            folder.getName(),
-            sub.getName(),
-            subUrl,
-            formatDate_(subDate),
-            ''
-          ]);
-          statusData.push(subStatus);
-        }
-      }
-    } else {
-      const folderUrl = folder.getUrl();
-      if (!existingUrls.has(folderUrl)) {
-        const folderDate = folder.getLastUpdated();
-        const folderStatus = getUploadStatus_(folderDate);
-        data.push([
-          folderStatus ? folderStatus.tag : '',
-          folder.getName(),
-          folderUrl,
-          formatDate_(folderDate),
-          ''
-        ]);
-        statusData.push(folderStatus);
-      }
+/**
+ * Remove any scheduled continueListing runs
+ */
+function deleteContinuationTriggers_() {
+  for (const trigger of ScriptApp.getProjectTriggers()) {
+    if (trigger.getHandlerFunction() === 'continueListing') {
+      ScriptApp.deleteTrigger(trigger);
     }
   }
+}
 
-  if (data.length > 0) {
-    saveData_(sheet, data, numCols, statusData);
-    // Update timestamp
-    sheet.getRange('G2').setValue('Auto-updated: ' + new Date().toLocaleString());
-  }
+/**
+ * Email the auto-continue address (if one is set)
+ */
+function sendAutoContinueEmail_(subject, body) {
+  const email = PropertiesService.getScriptProperties().getProperty('AUTO_CONTINUE_EMAIL');
+  if (!email) return;
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  MailApp.sendEmail(email, `${subject} - ${ss.getName()}`, `${body}\n\n${ss.getUrl()}`);
 }
 
 /**
@@ -1067,9 +5433,45 @@ function setupAutoUpdate() {
     .atHour(1)
     .create();
 
+  const tabs = getConfiguredSheets_(SpreadsheetApp.getActiveSpreadsheet())
+    .filter(sheet => getSheetConfig_(sheet).mode !== MODE_FILES)
+    .map(sheet => sheet.getName());
+
+  // Optional digest email after each run
+  const props = PropertiesService.getScriptProperties();
+  const emailResponse = ui.prompt(
+    'Email Digest',
+    'Email a summary of new and changed folders after each nightly update?\n\n' +
+    'Enter email address(es), separated by commas (leave empty for no email).\n' +
+    'Failures are always emailed to these addresses.',
+    ui.ButtonSet.OK_CANCEL
+  );
+  const recipients = emailResponse.getSelectedButton() === ui.Button.OK ? emailResponse.getResponseText().trim() : '';
+  props.setProperty('AUTO_UPDATE_DIGEST_EMAIL', recipients);
+
+  let onlyChanges = false;
+  if (recipients) {
+    onlyChanges = ui.alert(
+      'Only When Something Changed?',
+      'Skip the email on nights with no new or changed folders?\n\n(Failures are emailed either way.)',
+      ui.ButtonSet.YES_NO
+    ) === ui.Button.YES;
+  }
+  props.setProperty('AUTO_UPDATE_DIGEST_ONLY_CHANGES', String(onlyChanges));
+
+  const snapshots = ui.alert(
+    'Nightly Snapshots?',
+    'Also save a snapshot of every tab to the History sheet after each nightly update (for the growth charts)?',
+    ui.ButtonSet.YES_NO
+  ) === ui.Button.YES;
+  props.setProperty('AUTO_UPDATE_SNAPSHOT', String(snapshots));
+
   ui.alert('Auto-Update Enabled',
-    'The folder list will automatically update every night (1-2 AM).\n\n' +
+    'Every folder listing tab will automatically update every night (1-2 AM), each from its own folder.\n\n' +
+    (tabs.length ? `Tabs: ${tabs.join(', ')}\n\n` : '') +
     'New folders will be added to the list automatically.\n\n' +
+    (recipients ? `Digest emails go to: ${recipients}${onlyChanges ? ' (only when something changed)' : ''}\n\n` : '') +
+    (snapshots ? 'A snapshot of each tab is added to the History sheet every night.\n\n' : '') +
     'To disable, run "Disable Auto-Update" from the menu.',
     ui.ButtonSet.OK);
 }
@@ -1089,6 +5491,12 @@ function disableAutoUpdate() {
     }
   }
 
+  const props = PropertiesService.getScriptProperties();
+  props.deleteProperty('AUTO_UPDATE_DIGEST_EMAIL');
+  props.deleteProperty('AUTO_UPDATE_DIGEST_ONLY_CHANGES');
+  props.deleteProperty('AUTO_UPDATE_SNAPSHOT');
+  props.deleteProperty('AUTO_UPDATE_STARTED');
+
   if (removed > 0) {
     ui.alert('Auto-Update Disabled', 'Automatic nightly updates have been disabled.', ui.ButtonSet.OK);
   } else {
@@ -1096,24 +5504,336 @@ function disableAutoUpdate() {
   }
 }
 
+/**
+ * Open the control panel sidebar
+ */
+function showSidebar() {
+  const ui = SpreadsheetApp.getUi();
+  let html;
+  try {
+    html = HtmlService.createHtmlOutputFromFile(SIDEBAR_FILE);
+  } catch (e) {
+    ui.alert('Sidebar Not Installed',
+      `Add an HTML file named "${SIDEBAR_FILE}" in the Apps Script editor (Files → + → HTML) ` +
+      'and paste google-drive-folder-list-sidebar.html into it.\n\n' +
+      'Until then, progress is shown in the sheet (column G).',
+      ui.ButtonSet.OK);
+    return;
+  }
+  ui.showSidebar(html.setTitle('Folder List'));
+}
+
+/**
+ * Sidebar: everything about the active tab - root folder, mode, status, paused tabs, status tags
+ */
+function getSidebarState() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getActiveSheet();
+  const config = getSheetConfig_(sheet);
+  const props = PropertiesService.getScriptProperties();
+
+  let rootName = '';
+  if (config) {
+    try {
+      rootName = config.sharedDrive ||
+        (config.rootFolderId ? DriveApp.getFolderById(config.rootFolderId).getName() : 'My Drive');
+    } catch (e) {
+      rootName = `(no access: ${config.rootFolderId})`;
+    }
+  }
+
+  const headers = getHeaderRow_(sheet);
+  return {
+    status: getSidebarStatus(),
+    config: config,
+    rootName: rootName,
+    isListing: headers[0] === 'Status',
+    pausedTabs: getPausedSheets_(ss).filter(s => s.getSheetId() !== sheet.getSheetId()).map(s => s.getName()),
+    autoContinue: props.getProperty('AUTO_CONTINUE') === 'true',
+    autoUpdate: ScriptApp.getProjectTriggers().some(trigger => trigger.getHandlerFunction() === 'autoUpdateFolderList'),
+    statusRules: getStatusRules_().map(rule => ({ tag: rule.tag, description: describeStatusRule_(rule) })),
+    hasFilter: sheet.getFilter() !== null,
+    filterRules: loadFilters_(sheet).descriptions
+  };
+}
+
+/**
+ * Sidebar: latest status of the active tab (polled every few seconds while the sidebar is open)
+ */
+function getSidebarStatus() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  const props = PropertiesService.getScriptProperties();
+  const status = JSON.parse(props.getProperty('SIDEBAR_STATUS_' + sheet.getSheetId()) || '{}');
+  status.sheetName = sheet.getName();
+  status.stamp = props.getProperty('SIDEBAR_STAMP_' + sheet.getSheetId()) || '';
+  status.paused = hasState_(stateKey_('PROCESS_STATE', sheet));
+  status.emptyScanPaused = hasState_(stateKey_('EMPTY_SCAN_STATE', sheet));
+  return status;
+}
+
+/**
+ * Sidebar folder browser: a folder's subfolders and the trail of folders above it
+ * folderId: '' = My Drive, 'SHARED' = the list of Shared Drives
+ */
+function getFolderChildren(folderId) {
+  if (folderId === 'SHARED') {
+    if (typeof Drive === 'undefined') {
+      throw new Error('Listing Shared Drives needs the Advanced Drive service (Services → Drive API). You can still paste a drive\'s ID.');
+    }
+    return { id: 'SHARED', name: 'Shared Drives', trail: [], folders: listSharedDrives_(), more: false, selectable: false };
+  }
+
+  const folder = folderId ? DriveApp.getFolderById(folderId) : DriveApp.getRootFolder();
+  const folders = [];
+  const subfolders = folder.getFolders();
+  while (subfolders.hasNext() && folders.length < SIDEBAR_MAX_ITEMS) {
+    const sub = subfolders.next();
+    folders.push({ id: sub.getId(), name: sub.getName() });
+  }
+  folders.sort((a, b) => a.name.localeCompare(b.name));
+
+  // Folders above this one (first parent only)
+  const trail = [];
+  let parents = folder.getParents();
+  while (parents.hasNext() && trail.length < 20) {
+    const parent = parents.next();
+    trail.unshift({ id: parent.getId(), name: parent.getName() });
+    parents = parent.getParents();
+  }
+
+  return {
+    id: folderId ? folder.getId() : '',
+    name: (folderId && getSharedDriveName_(folderId)) || (folderId ? folder.getName() : 'My Drive'),
+    trail: trail,
+    folders: folders,
+    more: subfolders.hasNext(),
+    selectable: true
+  };
+}
+
+/**
+ * Sidebar: start a new listing on the active tab
+ * options: { folderId, mode, withStats, withSharing }
+ */
+function sidebarStartListing(options) {
+  if (![MODE_FOLDERS, MODE_SUBFOLDERS, MODE_TREE, MODE_FILES].includes(options.mode)) {
+    throw new Error(`Unknown listing mode: ${options.mode}`);
+  }
+  const folderId = getIdFromUrl_(options.folderId) || String(options.folderId || '').trim();
+  try {
+    if (folderId) DriveApp.getFolderById(folderId);
+  } catch (e) {
+    throw new Error('Could not access folder: ' + e.message);
+  }
+
+  // Folder options only apply to folder listings
+  const isFiles = options.mode === MODE_FILES;
+  const filters = loadFilters_(SpreadsheetApp.getActiveSpreadsheet().getActiveSheet());
+  if (!isFiles && filters.errors.length > 0) throw new Error('Fix the Filters sheet first: ' + filters.errors.join('; '));
+  fromSidebar_ = true;
+  beginListing_(folderId, options.mode, !isFiles && !!options.withStats, !isFiles && !!options.withSharing);
+  return getSidebarStatus();
+}
+
+/**
+ * Sidebar: continue the active tab's paused listing
+ */
+function sidebarResume() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  const config = getSheetConfig_(sheet);
+  if (!config || !hasState_(stateKey_('PROCESS_STATE', sheet))) {
+    throw new Error('Nothing to resume on this tab.');
+  }
+
+  fromSidebar_ = true;
+  runListing_(sheet, config, false);
+  return getSidebarStatus();
+}
+
+/**
+ * Sidebar: ask the active tab's running listing to stop (it saves its place within a few seconds)
+ */
+function sidebarStop() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  PropertiesService.getScriptProperties().setProperty('STOP_REQUEST_' + sheet.getSheetId(), String(Date.now()));
+}
+
+/**
+ * Sidebar: Update List without the alert boxes
+ */
+function sidebarUpdateList() {
+  const startTime = Date.now();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  const config = getSheetConfig_(sheet);
+  const problem = getUpdateProblem_(sheet, config);
+  if (problem) throw new Error(problem.message);
+
+  let rootFolder;
+  try {
+    rootFolder = config.rootFolderId ? DriveApp.getFolderById(config.rootFolderId) : DriveApp.getRootFolder();
+  } catch (e) {
+    throw new Error('Could not access folder: ' + e.message);
+  }
+
+  updateStatus_(sheet, '🔄 Checking for changes...', '#fff3cd');
+  const summary = reconcileFolderList_(sheet, rootFolder, scanned => {
+    updateStatus_(sheet, `🔄 Scanned ${scanned} folders...`, '#fff3cd');
+  }, startTime);
+  if (summary) {
+    updateStatus_(sheet, `✅ Synced: ${formatSyncSummary_(summary)}`, '#d4edda', 1);
+  } else {
+    updateStatus_(sheet, SYNC_PAUSED_STATUS, '#f8d7da');
+  }
+  return getSidebarStatus();
+}
+
+/**
+ * Sidebar: show only rows whose name/path contains the text and/or whose status starts with the tag
+ * Uses the sheet's filter, so the data itself isn't touched
+ */
+function applyListingFilter(text, statusTag) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  const headers = getHeaderRow_(sheet);
+  const nameCol = getNameCol_(headers);
+  if (nameCol === 0 || sheet.getLastRow() <= 1) throw new Error('Nothing to filter - list some folders first.');
+
+  clearListingFilter();
+  const filter = sheet.getRange(1, 1, sheet.getLastRow(), headers.length).createFilter();
+
+  const search = String(text || '').trim();
+  if (search) {
+    // SEARCH treats ~ * ? as wildcards, and quotes need doubling inside the formula
+    const quoted = search.replace(/[~*?]/g, '~$&').replace(/"/g, '""');
+    const cols = [nameCol, ...['Path', 'Parent Folder', 'Parent Path'].map(name => headers.indexOf(name) + 1)].filter(col => col > 0);
+    const tests = cols.map(col => `ISNUMBER(SEARCH("${quoted}", ${sheet.getRange(2, col).getA1Notation()}))`);
+    filter.setColumnFilterCriteria(nameCol,
+      SpreadsheetApp.newFilterCriteria().whenFormulaSatisfied(`=OR(${tests.join(', ')})`).build());
+  }
+  if (statusTag && headers[0] === 'Status') {
+    filter.setColumnFilterCriteria(1, SpreadsheetApp.newFilterCriteria().whenTextStartsWith(statusTag).build());
+  }
+}
+
+/**
+ * Sidebar: show every row again
+ */
+function clearListingFilter() {
+  const filter = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet().getFilter();
+  if (filter) filter.remove();
+}
+
+/**
+ * Sidebar: rows with something waiting in the Action column, grouped by the command that handles them
+ */
+function getPendingActions() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  const headers = getHeaderRow_(sheet);
+  const actionCol = headers.indexOf('Action') + 1;
+  if (actionCol === 0 || sheet.getLastRow() <= 1) return [];
+  const nameCol = getNameCol_(headers) || 1;
+
+  const groups = [
+    { key: 'remove', label: '🗑️ Remove', command: 'removeMarkedFolders', items: [] },
+    { key: 'empty', label: '📭 Empty', command: 'removeEmptyFolders', items: [] },
+    { key: 'sharing', label: '🔒 Unshare / Make private', command: 'applySharingActions', items: [] },
+    { key: 'actions', label: '⚡ Move / Rename / Archive / Star', command: 'applyActions', items: [] }
+  ];
+  const byKey = {};
+  groups.forEach(group => { byKey[group.key] = group; });
+
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, actionCol).getValues();
+  data.forEach((row, i) => {
+    const action = String(row[actionCol - 1] || '').trim();
+    const lower = action.toLowerCase();
+    let key = null;
+    if (['remove', 'delete', 'x'].includes(lower)) key = 'remove';
+    else if (action.includes('📭 Empty')) key = 'empty';
+    else if (['unshare', 'make private'].includes(lower)) key = 'sharing';
+    else if (parseAction_(action)) key = 'actions';
+    if (!key) return;
+
+    const group = byKey[key];
+    group.count = (group.count || 0) + 1;
+    if (group.items.length < SIDEBAR_MAX_ITEMS) {
+      group.items.push({ row: i + 2, name: String(row[nameCol - 1]), action: action });
+    }
+  });
+
+  return groups.filter(group => group.count);
+}
+
+/**
+ * Sidebar: select a listing row (from Pending Actions)
+ */
+function goToListingRow(row) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  sheet.getRange(row, 1, 1, Math.max(sheet.getLastColumn(), 1)).activate();
+}
+
+/**
+ * Sidebar: run a menu command (they still ask before changing anything in Drive)
+ */
+function runSidebarCommand(name) {
+  const commands = {
+    markEmptyFolders: markEmptyFolders,
+    resumeEmptyFolderScan: resumeEmptyFolderScan,
+    findDuplicates: findDuplicates,
+    previewRemoval: previewRemoval,
+    removeMarkedFolders: removeMarkedFolders,
+    removeEmptyFolders: removeEmptyFolders,
+    applySharingActions: applySharingActions,
+    applyActions: applyActions,
+    reapplyStatusTags: reapplyStatusTags
+  };
+  if (!commands[name]) throw new Error(`Unknown command: ${name}`);
+
+  commands[name]();
+  return getSidebarStatus();
+}
+
 /**
  * Add custom menu when spreadsheet opens
  */
 function onOpen() {
-  SpreadsheetApp.getUi()
-    .createMenu('Folder List')
+  const ui = SpreadsheetApp.getUi();
+  ui.createMenu('Folder List')
+    .addItem('🎛️ Control Panel (Sidebar)', 'showSidebar')
+    .addSeparator()
     .addItem('📁 List Folders Only', 'listFoldersOnly')
     .addItem('📂 List Folders + Subfolders', 'listFoldersWithSubfolders')
-    .addItem('🔄 Update List (Add New Only)', 'updateFolderList')
+    .addItem('🌳 List Full Tree (All Levels)', 'listFullTree')
+    .addItem('📄 List Files (All Levels)', 'listFiles')
+    .addItem('🔄 Update List (Sync Changes)', 'updateFolderList')
+    .addSubMenu(ui.createMenu('📤 Export')
+      .addItem('CSV', 'exportCsv')
+      .addItem('JSON (Nested Tree)', 'exportJson')
+      .addItem('Markdown Tree', 'exportMarkdownTree')
+      .addItem('Plain Text Tree', 'exportTextTree'))
+    .addSubMenu(ui.createMenu('📈 History')
+      .addItem('Take Snapshot', 'takeSnapshot')
+      .addItem('Compare Snapshots', 'compareSnapshots'))
     .addSeparator()
     .addItem('🔍 Find Empty Folders', 'markEmptyFolders')
+    .addItem('▶️ Resume Empty Folder Scan', 'resumeEmptyFolderScan')
     .addItem('🗑️ Remove Empty Folders', 'removeEmptyFolders')
+    .addItem('🧬 Find Duplicates', 'findDuplicates')
     .addSeparator()
     .addItem('▶️ Resume Listing', 'resumeListing')
+    .addItem('👀 Preview Removal (Dry Run)', 'previewRemoval')
     .addItem('🗑️ Remove Marked Folders', 'removeMarkedFolders')
+    .addItem('♻️ Restore Selected (Removal Log)', 'restoreSelected')
+    .addItem('🔒 Apply Sharing Actions (Unshare / Make Private)', 'applySharingActions')
+    .addItem('⚡ Apply Actions (Move / Rename / Archive / Star)', 'applyActions')
+    .addItem('🛡️ Protected Folders (Settings)', 'openProtectedSettings')
+    .addItem('🔎 Filters (What Gets Listed)', 'openFilters')
+    .addSeparator()
+    .addItem('⚙️ Settings (Status Tags)', 'openSettings')
+    .addItem('🏷️ Re-apply Status Tags', 'reapplyStatusTags')
     .addSeparator()
     .addItem('⏰ Enable Auto-Update (Nightly)', 'setupAutoUpdate')
     .addItem('⏹️ Disable Auto-Update', 'disableAutoUpdate')
+    .addItem('⏩ Enable Auto-Continue (Long Listings)', 'enableAutoContinue')
+    .addItem('⏹️ Disable Auto-Continue', 'disableAutoContinue')
     .addItem('🔄 Reset / Start Over', 'resetAndStartOver')
     .addToUi();
 }
@@ -1,7 +1,7 @@
 // ==UserScript==
 // @name         Udemy Auto Close Non-Free / Auto Enroll Free
 // @namespace    http://tampermonkey.net/
-// @version      2.9
+// @version      3.4
 // @description  Auto closes Udemy course tab if not 100% off or already enrolled, auto enrolls if free. Handles rate limiting.
 // @author       SandeepSAulakh
 // @homepageURL  https://github.com/SandeepSAulakh/MyRandomScripts
@@ -16,6 +16,9 @@
 // @grant        window.close
 // @grant        GM_getValue
 // @grant        GM_setValue
+// @grant        GM_deleteValue
+// @grant        GM_listValues
+// @grant        GM_registerMenuCommand
 // ==/UserScript==
 
 (function() {
@@ -37,19 +40,61 @@
         FORBIDDEN_WAIT_MAX: 90000,
         // Fewer retries, longer waits
         FORBIDDEN_MAX_RETRIES: 3,
-
-        // Global throttle
-        GLOBAL_LOCK_KEY: 'udemy_global_lock',
-        // Longer lock timeout
-        LOCK_TIMEOUT: 20000,
-        LOCK_WAIT_INTERVAL: 2000,
-        LOCK_MAX_WAIT: 120000,
+        // Shared cooldown - a Forbidden page in any tab pauses all tabs
+        COOLDOWN_KEY: 'udemy_cooldown',
+        // Cooldown doubles with each Forbidden hit (from FORBIDDEN_WAIT_MIN-MAX), up to 15 minutes
+        COOLDOWN_MAX: 900000,
+        // Backoff starts over once the last cooldown ended this long ago (1 hour)
+        COOLDOWN_RESET: 3600000,
+
+        // Tab queue (one ticket per tab, first come first served)
+        QUEUE_PREFIX: 'udemy_queue_',
+        // Tabs working on Udemy at the same time
+        MAX_CONCURRENT: 1,
+        // Each tab refreshes its ticket this often...
+        QUEUE_HEARTBEAT: 3000,
+        // ...and a ticket not refreshed for this long belongs to a closed tab
+        QUEUE_STALE: 10000,
+        QUEUE_POLL_INTERVAL: 1000,
+        // Wait after joining so tabs that joined at the same moment see each other
+        QUEUE_SETTLE: 1500,
+        // A tab running longer than this stops holding up the queue
+        QUEUE_HOLD_MAX: 120000,
+
+        // Enrollment ledger (one GM value per course visit, so tabs don't overwrite each other)
+        LEDGER_PREFIX: 'udemy_ledger_',
+        // Oldest entries are dropped past this
+        LEDGER_MAX_ENTRIES: 2000,
+        // Rows shown in the dashboard table (exports include everything)
+        DASHBOARD_MAX_ROWS: 500,
+
+        // Course filter rules (edited from the Tampermonkey menu, so they survive script updates)
+        FILTERS_KEY: 'udemy_course_filters',
     };
 
     const RETRY_KEY = 'udemy_retry_' + window.location.pathname;
     const FORBIDDEN_KEY = 'udemy_forbidden_' + window.location.pathname;
 
-    console.log('Udemy auto-enroll script v2.9 loaded!');
+    // Ledger entry of this tab's course visit - survives reloads and the course -> checkout -> success pages
+    const LEDGER_SESSION_KEY = 'udemy_ledger_entry';
+
+    // Outcomes recorded in the ledger
+    const RESULTS = {
+        'enrolled': 'Enrolled',
+        'enroll-clicked': 'Enroll clicked',
+        'checkout-clicked': 'Checkout clicked',
+        'already-enrolled': 'Already enrolled',
+        'closed-paid': 'Closed (paid)',
+        'coupon-expired': 'Coupon expired',
+        'no-enroll-button': 'Free, no button',
+        'filtered': 'Filtered out',
+        'retrying': 'Retrying (stuck)',
+        'stuck': 'Stuck',
+        'rate-limited': 'Rate limited',
+        'forbidden': 'Forbidden',
+    };
+
+    console.log('Udemy auto-enroll script v3.4 loaded!');
 
     // ==================== FORBIDDEN PAGE DETECTION ====================
 
@@ -62,67 +107,232 @@
         return false;
     }
 
+    // ==================== SHARED COOLDOWN ====================
+
+    // until = when the last cooldown ends (or ended) - the level is forgotten after a quiet COOLDOWN_RESET
+    function getCooldown() {
+        let cooldown;
+        try {
+            cooldown = JSON.parse(GM_getValue(CONFIG.COOLDOWN_KEY, 'null')) || { until: 0, level: 0 };
+        } catch {
+            cooldown = { until: 0, level: 0 };
+        }
+        if (Date.now() - cooldown.until > CONFIG.COOLDOWN_RESET) cooldown.level = 0;
+        return cooldown;
+    }
+
+    function getCooldownLeft() {
+        return Math.max(0, getCooldown().until - Date.now());
+    }
+
+    // Pauses every tab, twice as long as last time
+    // Hits during a running cooldown don't escalate it - those requests were sent before the pause
+    function triggerCooldown() {
+        const cooldown = getCooldown();
+        const now = Date.now();
+        if (cooldown.until > now) return cooldown;
+
+        const level = cooldown.level + 1;
+        const wait = Math.min(CONFIG.COOLDOWN_MAX,
+            randomDelay(CONFIG.FORBIDDEN_WAIT_MIN, CONFIG.FORBIDDEN_WAIT_MAX) * 2 ** (level - 1));
+        const next = { until: now + wait, level };
+        GM_setValue(CONFIG.COOLDOWN_KEY, JSON.stringify(next));
+        return next;
+    }
+
+    // A successful enrollment shrinks the backoff one step
+    function easeCooldown() {
+        const cooldown = getCooldown();
+        if (cooldown.level > 0 && cooldown.until <= Date.now()) {
+            GM_setValue(CONFIG.COOLDOWN_KEY, JSON.stringify({ until: cooldown.until, level: cooldown.level - 1 }));
+        }
+    }
+
+    function formatCountdown(ms) {
+        const seconds = Math.ceil(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    // Counts down on this tab's badge until the shared cooldown is over
+    async function waitForCooldown() {
+        let left;
+        while ((left = getCooldownLeft()) > 0) {
+            showTabStatus(`⏸️ Paused due to rate limiting - resuming in ${formatCountdown(left)}`, `⏸ ${formatCountdown(left)}`);
+            await bgSleep(Math.min(1000, left));
+        }
+    }
+
     async function handleForbidden() {
         const forbiddenCount = parseInt(GM_getValue(FORBIDDEN_KEY, '0'));
 
         if (forbiddenCount >= CONFIG.FORBIDDEN_MAX_RETRIES) {
             console.log('Too many forbidden errors. Leaving tab open for manual review.');
+            recordOutcome('forbidden', `Gave up after ${forbiddenCount} forbidden pages`, { forbidden: forbiddenCount });
             GM_setValue(FORBIDDEN_KEY, '0');
             return;
         }
 
-        const waitTime = randomDelay(CONFIG.FORBIDDEN_WAIT_MIN, CONFIG.FORBIDDEN_WAIT_MAX);
-        console.log(`Forbidden page detected! Waiting ${Math.round(waitTime/1000)}s before retry... (attempt ${forbiddenCount + 1}/${CONFIG.FORBIDDEN_MAX_RETRIES})`);
+        const cooldown = triggerCooldown();
+        const waitTime = Math.round((cooldown.until - Date.now()) / 1000);
+        console.log(`Forbidden page detected! All tabs paused for ${waitTime}s (backoff level ${cooldown.level})... (attempt ${forbiddenCount + 1}/${CONFIG.FORBIDDEN_MAX_RETRIES})`);
 
         GM_setValue(FORBIDDEN_KEY, String(forbiddenCount + 1));
+        recordOutcome('rate-limited', `All tabs paused ${waitTime}s (backoff level ${cooldown.level})`, { forbidden: forbiddenCount + 1 });
 
-        await bgSleep(waitTime);
+        // Reload through the queue, so the blocked tabs don't all reload the moment the cooldown ends
+        await joinQueue();
+        leaveQueue(true);
         location.reload();
     }
 
-    // ==================== GLOBAL THROTTLE (LOCK) ====================
+    // ==================== TAB QUEUE ====================
+    // Every tab writes only its own ticket, so tabs never overwrite each other.
+    // Tickets are ordered by join time and the first MAX_CONCURRENT get to run.
 
-    function acquireLock() {
-        return new Promise(async (resolve, reject) => {
-            const startTime = Date.now();
+    // Stays the same for this tab across reloads and the course -> checkout -> success pages
+    const TAB_ID_KEY = 'udemy_tab_id';
+    const tabId = sessionStorage.getItem(TAB_ID_KEY) || Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    sessionStorage.setItem(TAB_ID_KEY, tabId);
 
-            const tryAcquire = async () => {
-                const lockData = GM_getValue(CONFIG.GLOBAL_LOCK_KEY, null);
-                const now = Date.now();
+    // Join time of this tab's current course visit - reused after reloads and page changes, so the tab keeps its place
+    const QUEUE_JOINED_KEY = 'udemy_queue_joined';
 
-                if (lockData) {
-                    const lock = JSON.parse(lockData);
-                    if (now - lock.timestamp < CONFIG.LOCK_TIMEOUT) {
-                        if (now - startTime > CONFIG.LOCK_MAX_WAIT) {
-                            console.log('Waited too long for lock, proceeding anyway...');
-                            resolve();
-                            return;
-                        }
+    let queueTicket = null;
 
-                        const jitter = randomDelay(0, 1000);
-                        await bgSleep(CONFIG.LOCK_WAIT_INTERVAL + jitter);
-                        tryAcquire();
-                        return;
-                    }
+    function writeTicket() {
+        queueTicket.heartbeat = Date.now();
+        GM_setValue(CONFIG.QUEUE_PREFIX + tabId, JSON.stringify(queueTicket));
+    }
+
+    function heartbeat() {
+        if (!queueTicket) return;
+        writeTicket();
+        bgSetTimeout(heartbeat, CONFIG.QUEUE_HEARTBEAT);
+    }
+
+    // Live tickets in queue order - tickets of closed tabs are deleted on the way
+    function readTickets() {
+        const now = Date.now();
+        return GM_listValues()
+            .filter(key => key.startsWith(CONFIG.QUEUE_PREFIX))
+            .map(key => {
+                let ticket = null;
+                try {
+                    ticket = JSON.parse(GM_getValue(key, 'null'));
+                } catch {
+                    // Broken ticket - dropped below
+                }
+                if (!ticket || now - ticket.heartbeat > CONFIG.QUEUE_STALE) {
+                    GM_deleteValue(key);
+                    return null;
                 }
+                return ticket;
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.joined - b.joined || a.id.localeCompare(b.id));
+    }
 
-                GM_setValue(CONFIG.GLOBAL_LOCK_KEY, JSON.stringify({
-                    timestamp: now,
-                    url: window.location.href
-                }));
+    // This tab's place in the queue, and how many other tabs are running
+    function getQueuePosition() {
+        const now = Date.now();
+        const tickets = readTickets().filter(ticket =>
+            ticket.id === tabId || !(ticket.started && now - ticket.started > CONFIG.QUEUE_HOLD_MAX));
+        return {
+            index: tickets.findIndex(ticket => ticket.id === tabId),
+            running: tickets.filter(ticket => ticket.started && ticket.id !== tabId).length,
+            total: tickets.length,
+        };
+    }
 
-                console.log('Acquired global lock, proceeding...');
-                resolve();
-            };
+    // Resolves when it's this tab's turn
+    async function joinQueue() {
+        const maxConcurrent = Math.max(1, CONFIG.MAX_CONCURRENT);
+        const joined = Number(sessionStorage.getItem(QUEUE_JOINED_KEY)) || Date.now();
+        sessionStorage.setItem(QUEUE_JOINED_KEY, String(joined));
 
-            await bgSleep(randomDelay(0, 3000));
-            tryAcquire();
-        });
+        // Still running from the previous page (leaveQueue(true) kept the ticket) - keep the slot too
+        let previous = null;
+        try {
+            previous = JSON.parse(GM_getValue(CONFIG.QUEUE_PREFIX + tabId, 'null'));
+        } catch {
+            // Broken ticket - start over
+        }
+        const stillRunning = previous && previous.started && Date.now() - previous.heartbeat < CONFIG.QUEUE_STALE;
+
+        queueTicket = { id: tabId, joined, started: stillRunning ? Date.now() : 0, url: window.location.href };
+        heartbeat();
+        window.addEventListener('pagehide', () => leaveQueue());
+        if (!stillRunning) await bgSleep(CONFIG.QUEUE_SETTLE);
+
+        while (true) {
+            if (getCooldownLeft() > 0) {
+                await waitForCooldown();
+                continue;
+            }
+
+            const position = getQueuePosition();
+
+            // Another tab took us for a closed one (heartbeat came late) - put the ticket back
+            if (position.index === -1) {
+                writeTicket();
+            } else if (position.index < maxConcurrent && position.running < maxConcurrent) {
+                break;
+            } else {
+                showTabStatus(`⏳ #${position.index + 1} in queue (${position.running} running, ${position.total} tabs)`,
+                    `#${position.index + 1}`);
+            }
+            await bgSleep(CONFIG.QUEUE_POLL_INTERVAL);
+        }
+
+        queueTicket.started = Date.now();
+        writeTicket();
+        showTabStatus('▶️ Working on this tab...', '▶');
+        console.log('Our turn in the tab queue, proceeding...');
+    }
+
+    // keepPlace: the tab is about to load its next page (checkout, success, a retry) - the ticket stays, so the
+    // next page carries on from the same place and slot (if it doesn't load, the ticket goes stale as usual)
+    function leaveQueue(keepPlace = false) {
+        if (!queueTicket) return;
+        queueTicket = null;
+        if (keepPlace) {
+            console.log('Keeping our place in the tab queue for the next page');
+        } else {
+            GM_deleteValue(CONFIG.QUEUE_PREFIX + tabId);
+            sessionStorage.removeItem(QUEUE_JOINED_KEY);
+            console.log('Left the tab queue');
+        }
+        clearTabStatus();
+    }
+
+    // ==================== TAB STATUS BADGE ====================
+
+    const STATUS_ID = 'udemy-auto-enroll-status';
+    let originalTitle = null;
+
+    // Badge in the page corner, plus a title prefix so it shows on the tab itself
+    function showTabStatus(text, titlePrefix) {
+        let badge = document.getElementById(STATUS_ID);
+        if (!badge) {
+            badge = document.createElement('div');
+            badge.id = STATUS_ID;
+            badge.style.cssText = 'position: fixed; bottom: 16px; left: 16px; z-index: 2147483647; padding: 8px 12px; ' +
+                'background: #1c1d1f; color: #fff; border-radius: 6px; font: 13px/1.4 sans-serif; ' +
+                'box-shadow: 0 2px 8px rgba(0,0,0,.3); pointer-events: none;';
+            document.body.appendChild(badge);
+        }
+        badge.textContent = text;
+
+        if (originalTitle === null) originalTitle = document.title;
+        document.title = `[${titlePrefix}] ${originalTitle}`;
     }
 
-    function releaseLock() {
-        GM_setValue(CONFIG.GLOBAL_LOCK_KEY, null);
-        console.log('Released global lock');
+    function clearTabStatus() {
+        document.getElementById(STATUS_ID)?.remove();
+        if (originalTitle !== null) {
+            document.title = originalTitle;
+            originalTitle = null;
+        }
     }
 
     // ==================== BACKGROUND-SAFE TIMER ====================
@@ -178,7 +388,7 @@
 
     async function humanClose() {
         await humanDelay(CONFIG.MIN_CLOSE_DELAY, CONFIG.MAX_CLOSE_DELAY);
-        releaseLock();
+        leaveQueue();
         window.close();
     }
 
@@ -238,12 +448,14 @@
         if (retryCount < CONFIG.MAX_RETRIES) {
             console.log(`Page appears stuck (${reason}). Retry ${retryCount + 1}/${CONFIG.MAX_RETRIES}...`);
             GM_setValue(RETRY_KEY, String(retryCount + 1));
-            releaseLock();
+            recordOutcome('retrying', reason, { retries: retryCount + 1 });
+            leaveQueue(true);
             location.reload();
         } else {
             console.log(`Max retries reached. Leaving tab open for manual review.`);
+            recordOutcome('stuck', reason, { retries: retryCount });
             GM_setValue(RETRY_KEY, '0');
-            releaseLock();
+            leaveQueue();
         }
     }
 
@@ -355,28 +567,619 @@
         window.close();
     }
 
-    // Check if course is free
-    function isCourseFree() {
-        // Check discount percentage
+    // ==================== PRICE DETECTION ====================
+
+    // "Free" as Udemy shows it in its UI languages
+    const FREE_WORDS = [
+        'free', 'gratis', 'kostenlos', 'gratuit', 'gratuito', 'grátis', 'bezpłatny', 'darmowy',
+        'ücretsiz', 'бесплатно', 'miễn phí', 'gratuita', '無料', '免费', '免費', '무료', 'ฟรี', 'مجاني',
+    ];
+
+    // Coupon messages for an expired / used up / invalid code
+    const COUPON_EXPIRED_PATTERN = new RegExp([
+        'expired', 'no longer (?:valid|available|be used)', 'not valid', 'invalid', 'exceeded',
+        'maximum (?:possible )?redemptions', 'used up', 'abgelaufen', 'ungültig', 'nicht mehr gültig',
+        'expiré', "n'est plus valide", 'caducad', 'expirado', 'no es válido', 'scadut', 'non è valido',
+        'wygasł', 'süresi dol', 'истек',
+    ].join('|'), 'i');
+
+    // Price element text without the screen-reader label ("Current price", "Preço atual"...)
+    function visiblePriceText(el) {
+        if (!el) return '';
+        const clone = el.cloneNode(true);
+        clone.querySelectorAll('.ud-sr-only, [class*="sr-only"]').forEach(label => label.remove());
+        return clone.textContent.replace(/\s+/g, ' ').trim();
+    }
+
+    // "₹3,099" / "0,00 €" / "¥0" / "1.234,56 zł" / "Gratis" -> { free, amount, text }
+    function parsePrice(text) {
+        if (!text) return null;
+        const lower = text.toLowerCase();
+        if (FREE_WORDS.some(word => lower.includes(word))) return { free: true, amount: 0, text };
+
+        const match = text.match(/\d(?:[\d.,'\u00a0\u202f]|\s(?=\d{3}\b))*/);
+        if (!match) return null;
+
+        let number = match[0].replace(/[\s'\u00a0\u202f]/g, '').replace(/[.,]+$/, '');
+        const lastSeparator = Math.max(number.lastIndexOf('.'), number.lastIndexOf(','));
+        if (lastSeparator !== -1) {
+            const decimals = number.length - lastSeparator - 1;
+            const whole = number.slice(0, lastSeparator).replace(/[.,]/g, '');
+            // Prices have at most 2 decimals, so "1.234" / "1,234" is a thousands separator
+            number = decimals === 3 ? whole + number.slice(lastSeparator + 1) : `${whole}.${number.slice(lastSeparator + 1)}`;
+        }
+
+        const amount = parseFloat(number);
+        return isNaN(amount) ? null : { free: amount === 0, amount, text };
+    }
+
+    // Coupon error shown near the price / coupon box, if any
+    function getCouponMessage() {
+        const selectors = [
+            '[data-purpose*="coupon"]', '[class*="coupon"]', '[data-purpose="buy-box"] [role="alert"]',
+            '[data-purpose="sidebar-container"] [role="alert"]',
+        ];
+        for (const el of document.querySelectorAll(selectors.join(', '))) {
+            const text = el.textContent.replace(/\s+/g, ' ').trim();
+            if (COUPON_EXPIRED_PATTERN.test(text)) return text.slice(0, 200);
+        }
+        return '';
+    }
+
+    // Free, paid, or coupon expired - compares the current price with the original one
+    // Returns { status: 'free' | 'paid' | 'coupon-expired', reason }
+    function getPriceStatus() {
         const discountEl = document.querySelector('[data-purpose="discount-percentage"]');
-        if (discountEl && discountEl.textContent.includes('100%')) {
-            console.log('Course is free: 100% discount found');
-            return true;
+        const current = parsePrice(visiblePriceText(document.querySelector('[data-purpose="course-price-text"]')));
+        const original = parsePrice(visiblePriceText(document.querySelector('[data-purpose="course-old-price-text"]')));
+
+        if (discountEl && /100\s*%/.test(discountEl.textContent)) {
+            return { status: 'free', reason: '100% discount' };
+        }
+        if (current && current.free) {
+            return { status: 'free', reason: `price shows ${current.text}` };
         }
 
-        // Check price text
+        // With a coupon in the URL, a full price means the coupon didn't apply
+        if (getCouponCode()) {
+            const message = getCouponMessage();
+            if (message) return { status: 'coupon-expired', reason: message };
+            if (current && (!original || current.amount >= original.amount)) {
+                return { status: 'coupon-expired', reason: `Coupon not applied - full price ${current.text}` };
+            }
+        }
+
+        if (current && original) {
+            return { status: 'paid', reason: `${current.text} (was ${original.text})` };
+        }
+        return { status: 'paid', reason: current ? `price shows ${current.text}` : 'no free price shown' };
+    }
+
+    // ==================== ENROLLMENT LEDGER ====================
+
+    function getCourseSlug() {
+        const match = window.location.pathname.match(/\/course\/([^/]+)/);
+        return match ? match[1] : window.location.pathname;
+    }
+
+    function getCouponCode() {
+        const params = new URLSearchParams(window.location.search);
+        return params.get('couponCode') || params.get('discountCode') || '';
+    }
+
+    function getCourseTitle() {
+        const titleEl = document.querySelector('h1[data-purpose="lead-title"]');
+        if (titleEl) return titleEl.textContent.trim();
+        return (originalTitle ?? document.title).replace(/\s*\|\s*Udemy\s*$/i, '').trim();
+    }
+
+    // Price text as shown on the course page, e.g. "Free" or "$0 (100% off)"
+    function getPriceSeen() {
         const priceEl = document.querySelector('[data-purpose="course-price-text"]');
-        if (priceEl) {
-            const priceText = priceEl.textContent.toLowerCase().trim();
-            if (priceText.includes('free') || priceText.includes('$0') || priceText === 'free') {
-                console.log('Course is free: price shows Free/$0');
-                return true;
+        const discountEl = document.querySelector('[data-purpose="discount-percentage"]');
+        const price = visiblePriceText(priceEl);
+        const discount = discountEl ? discountEl.textContent.trim() : '';
+        return [price, discount ? `(${discount})` : ''].filter(Boolean).join(' ');
+    }
+
+    function getLedgerEntries() {
+        return GM_listValues()
+            .filter(key => key.startsWith(CONFIG.LEDGER_PREFIX))
+            .map(key => {
+                try {
+                    return JSON.parse(GM_getValue(key, 'null'));
+                } catch {
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.time.localeCompare(a.time));
+    }
+
+    // Drop the oldest entries past LEDGER_MAX_ENTRIES
+    function pruneLedger() {
+        const entries = getLedgerEntries();
+        for (const entry of entries.slice(CONFIG.LEDGER_MAX_ENTRIES)) {
+            GM_deleteValue(CONFIG.LEDGER_PREFIX + entry.id);
+        }
+    }
+
+    // Record what happened to this tab's course - updates the same entry from the course page through checkout
+    function recordOutcome(result, note = '', counts = {}) {
+        const onCoursePage = window.location.pathname.startsWith('/course/');
+        let session = null;
+        try {
+            session = JSON.parse(sessionStorage.getItem(LEDGER_SESSION_KEY) || 'null');
+        } catch {
+            session = null;
+        }
+
+        // Checkout and success pages belong to the course this tab came from
+        const slug = onCoursePage || !session ? getCourseSlug() : session.slug;
+        const sameVisit = session && session.slug === slug;
+        let entry = sameVisit ? JSON.parse(GM_getValue(CONFIG.LEDGER_PREFIX + session.id, 'null')) : null;
+        const isNew = !entry;
+        const now = new Date().toISOString();
+
+        if (!entry) {
+            entry = {
+                id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+                slug,
+                title: '',
+                coupon: '',
+                price: '',
+                url: window.location.href,
+                started: now,
+                retries: 0,
+                forbidden: 0,
+            };
+        }
+
+        // Title and price only come from a real course page (not its Forbidden version)
+        if (onCoursePage && !isForbiddenPage()) {
+            entry.title = getCourseTitle() || entry.title;
+            entry.price = getPriceSeen() || entry.price;
+        }
+        entry.coupon = getCouponCode() || entry.coupon;
+        entry.result = result;
+        entry.note = note;
+        entry.time = now;
+        entry.retries = Math.max(entry.retries, counts.retries || 0);
+        entry.forbidden = Math.max(entry.forbidden, counts.forbidden || 0);
+
+        GM_setValue(CONFIG.LEDGER_PREFIX + entry.id, JSON.stringify(entry));
+        sessionStorage.setItem(LEDGER_SESSION_KEY, JSON.stringify({ id: entry.id, slug }));
+        console.log(`Ledger: ${slug} -> ${result}${note ? ' (' + note + ')' : ''}`);
+
+        if (isNew) pruneLedger();
+    }
+
+    // ==================== OVERLAY (DASHBOARD / FILTER SETTINGS) ====================
+
+    const OVERLAY_ID = 'udemy-ledger-dashboard';
+
+    const OVERLAY_CSS = `
+        #${OVERLAY_ID} { position: fixed; inset: 0; z-index: 999999; background: rgba(0,0,0,0.55);
+            font: 13px/1.4 system-ui, sans-serif; color: #1c1d1f; }
+        #${OVERLAY_ID} .uld-panel { position: absolute; inset: 30px; background: #fff; border-radius: 8px;
+            display: flex; flex-direction: column; padding: 16px; box-shadow: 0 4px 20px rgba(0,0,0,0.4); }
+        #${OVERLAY_ID} .uld-header { display: flex; justify-content: space-between; align-items: center; }
+        #${OVERLAY_ID} h2 { margin: 0; font-size: 18px; }
+        #${OVERLAY_ID} .uld-row { display: flex; flex-wrap: wrap; gap: 6px; margin-top: 10px; align-items: center; }
+        #${OVERLAY_ID} button { padding: 4px 10px; border: 1px solid #ccc; border-radius: 4px; background: #f7f9fa; cursor: pointer; }
+        #${OVERLAY_ID} button.uld-active { background: #5624d0; border-color: #5624d0; color: #fff; }
+        #${OVERLAY_ID} button.uld-danger { background: #dc3545; border-color: #dc3545; color: #fff; }
+        #${OVERLAY_ID} input, #${OVERLAY_ID} select { padding: 4px 6px; border: 1px solid #ccc; border-radius: 4px; }
+        #${OVERLAY_ID} input { flex: 1; min-width: 200px; }
+        #${OVERLAY_ID} .uld-table { flex: 1; overflow: auto; margin-top: 10px; border-top: 1px solid #ddd; }
+        #${OVERLAY_ID} table { width: 100%; border-collapse: collapse; }
+        #${OVERLAY_ID} th { position: sticky; top: 0; background: #f7f9fa; text-align: left; }
+        #${OVERLAY_ID} th, #${OVERLAY_ID} td { padding: 4px 6px; border-bottom: 1px solid #eee; vertical-align: top; }
+        #${OVERLAY_ID} a { color: #5624d0; }
+        #${OVERLAY_ID} .uld-muted { color: #6a6f73; font-size: 12px; }
+        #${OVERLAY_ID} .uld-form { overflow: auto; max-width: 600px; }
+        #${OVERLAY_ID} .uld-form label { display: block; margin-top: 10px; font-weight: bold; }
+        #${OVERLAY_ID} .uld-form input { display: block; width: 100%; box-sizing: border-box; margin-top: 2px; font-weight: normal; }
+        #${OVERLAY_ID} .uld-form input[type=checkbox] { display: inline; width: auto; }
+    `;
+
+    // One overlay at a time - replaces whatever is open
+    function openOverlay(html) {
+        document.getElementById(OVERLAY_ID)?.remove();
+
+        if (!document.getElementById(OVERLAY_ID + '-style')) {
+            const style = document.createElement('style');
+            style.id = OVERLAY_ID + '-style';
+            style.textContent = OVERLAY_CSS;
+            document.head.appendChild(style);
+        }
+
+        const overlay = document.createElement('div');
+        overlay.id = OVERLAY_ID;
+        overlay.innerHTML = html;
+        document.body.appendChild(overlay);
+        return overlay;
+    }
+
+    // ==================== DASHBOARD ====================
+
+    function openDashboard() {
+        const overlay = openOverlay(`
+            <div class="uld-panel">
+                <div class="uld-header">
+                    <h2>📊 Enrollment Ledger</h2>
+                    <button data-action="close">✕ Close</button>
+                </div>
+                <div class="uld-row" data-role="status"></div>
+                <div class="uld-row" data-role="counts"></div>
+                <div class="uld-row">
+                    <input type="search" data-role="search" placeholder="Search title, slug or coupon...">
+                    <select data-role="result"><option value="">All results</option></select>
+                    <button data-action="csv">⬇️ CSV</button>
+                    <button data-action="json">⬇️ JSON</button>
+                    <button data-action="clear" class="uld-danger">🗑️ Clear History</button>
+                </div>
+                <div class="uld-muted" data-role="summary"></div>
+                <div class="uld-table"><table>
+                    <thead><tr><th>Time</th><th>Course</th><th>Coupon</th><th>Price</th><th>Result</th><th>Retries</th><th>Forbidden</th><th>Note</th></tr></thead>
+                    <tbody data-role="rows"></tbody>
+                </table></div>
+            </div>
+        `);
+
+        const find = role => overlay.querySelector(`[data-role="${role}"]`);
+        const resultSelect = find('result');
+        for (const [value, label] of Object.entries(RESULTS)) {
+            resultSelect.appendChild(new Option(label, value));
+        }
+
+        let entries = getLedgerEntries();
+
+        const filtered = () => {
+            const query = find('search').value.trim().toLowerCase();
+            const result = resultSelect.value;
+            return entries.filter(entry =>
+                (!result || entry.result === result) &&
+                (!query || [entry.title, entry.slug, entry.coupon].some(text => (text || '').toLowerCase().includes(query)))
+            );
+        };
+
+        // Overall status - paused by the shared cooldown, or running - refreshed while the dashboard is open
+        const renderStatus = () => {
+            if (!overlay.isConnected) return;
+            const cooldown = getCooldown();
+            const left = getCooldownLeft();
+            const tabs = readTickets().length;
+            find('status').innerHTML = left
+                ? `<b>⏸️ Paused due to rate limiting</b> - all tabs resume in ${formatCountdown(left)}
+                    (backoff level ${cooldown.level}, ${tabs} tab(s) waiting) <button data-action="resume">▶️ Resume now</button>`
+                : `<b>▶️ Running</b> - ${tabs} tab(s) in the queue` +
+                    (cooldown.level ? `, backoff level ${cooldown.level} (drops with each enrollment)` : '');
+            bgSetTimeout(renderStatus, 1000);
+        };
+
+        const render = () => {
+            // Count chips - click one to filter by that result
+            const counts = find('counts');
+            counts.innerHTML = '';
+            const total = document.createElement('button');
+            total.textContent = `All: ${entries.length}`;
+            total.className = resultSelect.value ? '' : 'uld-active';
+            total.onclick = () => { resultSelect.value = ''; render(); };
+            counts.appendChild(total);
+            for (const [value, label] of Object.entries(RESULTS)) {
+                const count = entries.filter(entry => entry.result === value).length;
+                if (!count) continue;
+                const chip = document.createElement('button');
+                chip.textContent = `${label}: ${count}`;
+                chip.className = resultSelect.value === value ? 'uld-active' : '';
+                chip.onclick = () => { resultSelect.value = value; render(); };
+                counts.appendChild(chip);
+            }
+
+            const shown = filtered();
+            find('summary').textContent = shown.length > CONFIG.DASHBOARD_MAX_ROWS
+                ? `Showing the newest ${CONFIG.DASHBOARD_MAX_ROWS} of ${shown.length} matching entries (exports include all of them)`
+                : `${shown.length} matching entries`;
+
+            const rows = find('rows');
+            rows.innerHTML = '';
+            for (const entry of shown.slice(0, CONFIG.DASHBOARD_MAX_ROWS)) {
+                const tr = document.createElement('tr');
+                const cells = [
+                    new Date(entry.time).toLocaleString(),
+                    null,
+                    entry.coupon,
+                    entry.price,
+                    RESULTS[entry.result] || entry.result,
+                    entry.retries || '',
+                    entry.forbidden || '',
+                    entry.note,
+                ];
+                cells.forEach((text, i) => {
+                    const td = document.createElement('td');
+                    if (i === 1) {
+                        const link = document.createElement('a');
+                        link.href = entry.url;
+                        link.target = '_blank';
+                        link.textContent = entry.title || entry.slug;
+                        td.appendChild(link);
+                    } else {
+                        td.textContent = text || '';
+                    }
+                    tr.appendChild(td);
+                });
+                rows.appendChild(tr);
+            }
+        };
+
+        find('search').oninput = render;
+        resultSelect.onchange = render;
+        overlay.addEventListener('click', event => {
+            if (event.target === overlay) overlay.remove();  // Click outside the panel
+            const action = event.target.dataset?.action;
+            if (action === 'close') overlay.remove();
+            if (action === 'csv') downloadFile('csv', toCsv(filtered()), 'text/csv');
+            if (action === 'json') downloadFile('json', JSON.stringify(filtered(), null, 2), 'application/json');
+            if (action === 'resume') {
+                GM_setValue(CONFIG.COOLDOWN_KEY, JSON.stringify({ until: Date.now(), level: getCooldown().level }));
+            }
+            if (action === 'clear') {
+                if (!confirm(`Delete all ${entries.length} ledger entries? This can't be undone.`)) return;
+                entries.forEach(entry => GM_deleteValue(CONFIG.LEDGER_PREFIX + entry.id));
+                sessionStorage.removeItem(LEDGER_SESSION_KEY);
+                entries = getLedgerEntries();
+                render();
             }
+        });
+
+        render();
+        renderStatus();
+    }
+
+    const LEDGER_COLUMNS = ['time', 'started', 'slug', 'title', 'coupon', 'price', 'result', 'retries', 'forbidden', 'note', 'url'];
+
+    function toCsv(entries) {
+        const cell = value => {
+            const text = String(value ?? '');
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [LEDGER_COLUMNS, ...entries.map(entry => LEDGER_COLUMNS.map(column => entry[column]))]
+            .map(row => row.map(cell).join(','))
+            .join('\r\n');
+    }
+
+    function downloadFile(extension, content, mimeType) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        link.download = `udemy-enrollments-${new Date().toISOString().slice(0, 10)}.${extension}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    GM_registerMenuCommand('📊 Enrollment Dashboard', openDashboard);
+
+    // ==================== COURSE FILTERS ====================
+
+    // Rules checked on a free course before enrolling - empty / 0 = rule off
+    const DEFAULT_FILTERS = {
+        enabled: true,
+        languages: [],
+        minRating: 0,
+        minRatings: 0,
+        minHours: 0,
+        categories: [],
+        blockedCategories: [],
+        titleAllow: [],
+        titleDeny: [],
+        blockedInstructors: [],
+    };
+
+    // Settings form fields: list = comma-separated words, number = 0 for off (count = whole number, "1,000" is 1000)
+    const FILTER_FIELDS = [
+        { key: 'languages', type: 'list', label: 'Languages', hint: 'e.g. English, Español - empty = any' },
+        { key: 'minRating', type: 'number', label: 'Minimum rating', hint: 'e.g. 4.2 (out of 5)' },
+        { key: 'minRatings', type: 'number', count: true, label: 'Minimum number of ratings', hint: 'e.g. 50' },
+        { key: 'minHours', type: 'number', label: 'Minimum duration (hours of video)', hint: 'e.g. 1.5' },
+        { key: 'categories', type: 'list', label: 'Categories / topics (any of)', hint: 'e.g. Development, Python - empty = any' },
+        { key: 'blockedCategories', type: 'list', label: 'Blocked categories / topics', hint: 'e.g. Personal Development, Lifestyle' },
+        { key: 'titleAllow', type: 'list', label: 'Title must contain one of', hint: 'e.g. python, sql - empty = any' },
+        { key: 'titleDeny', type: 'list', label: 'Title must not contain', hint: 'e.g. crypto, forex, chatgpt prompts' },
+        { key: 'blockedInstructors', type: 'list', label: 'Blocked instructors', hint: 'Names as shown on the course page' },
+    ];
+
+    function loadFilters() {
+        try {
+            return Object.assign({}, DEFAULT_FILTERS, JSON.parse(GM_getValue(CONFIG.FILTERS_KEY, '{}')));
+        } catch {
+            return Object.assign({}, DEFAULT_FILTERS);
         }
+    }
 
-        return false;
+    // "4,5" (other locales) -> 4.5; with isCount, separators are thousands: "1.234" / "1,234" -> 1234
+    function parseLocaleNumber(text, isCount = false) {
+        if (!text) return null;
+        const match = String(text).match(/\d[\d.,\s ]*/);
+        if (!match) return null;
+        if (isCount) return parseInt(match[0].replace(/\D/g, ''), 10);
+        return parseFloat(match[0].trim().replace(/[\s ]/g, '').replace(',', '.'));
+    }
+
+    // Hours of video from "12.5 hours on-demand video" or "5h 12m total length"
+    function parseHours(text) {
+        if (!text) return null;
+        const hours = String(text).match(/(\d+(?:[.,]\d+)?)\s*(?:h\b|hours?|hrs?|std|stunden|heures?|horas?|ore)/i);
+        const minutes = String(text).match(/(\d+)\s*(?:m\b|mins?|minutes?|minuten|minutos)/i);
+        if (!hours && !minutes) return null;
+        return (hours ? parseLocaleNumber(hours[1]) : 0) + (minutes ? parseInt(minutes[1], 10) / 60 : 0);
+    }
+
+    // Course schema from the page's JSON-LD, if Udemy included it
+    function readCourseJsonLd() {
+        for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+            try {
+                const data = JSON.parse(script.textContent);
+                const items = [].concat(data['@graph'] || data);
+                const course = items.find(item => item && item['@type'] === 'Course');
+                if (course) return course;
+            } catch {
+                // Not JSON we understand
+            }
+        }
+        return null;
+    }
+
+    function textOf(selectors) {
+        for (const selector of selectors) {
+            const el = document.querySelector(selector);
+            if (el && el.textContent.trim()) return el.textContent.trim();
+        }
+        return '';
+    }
+
+    function textsOf(selectors) {
+        for (const selector of selectors) {
+            const texts = [...document.querySelectorAll(selector)].map(el => el.textContent.trim()).filter(Boolean);
+            if (texts.length) return texts;
+        }
+        return [];
+    }
+
+    // What the filters look at - null / empty when the page doesn't show it
+    function getCourseDetails() {
+        const jsonLd = readCourseJsonLd() || {};
+        const rating = jsonLd.aggregateRating || {};
+        const ratingText = textOf(['[data-purpose="rating"]', '[class*="clp-lead__badge-ratings-enrollment"]']);
+
+        return {
+            title: getCourseTitle(),
+            language: textOf(['[data-purpose="lead-course-locale"]', '[class*="clp-lead__locale"]']) || jsonLd.inLanguage || '',
+            rating: parseLocaleNumber(rating.ratingValue) ?? parseLocaleNumber(textOf(['[data-purpose="rating-number"]'])),
+            ratingsCount: parseLocaleNumber(rating.ratingCount, true) ??
+                parseLocaleNumber((ratingText.match(/\(([^)]+)\)/) || [])[1], true),
+            hours: parseHours(textOf(['[data-purpose="video-content-length"]', '[data-purpose="curriculum-stats"]'])),
+            categories: textsOf(['.topic-menu a', '[class*="topic-menu"] a', 'nav[aria-label="Breadcrumb"] a']),
+            instructors: textsOf(['[data-purpose="instructor-name-top"] a', '.ud-instructor-links a']),
+        };
+    }
+
+    // Returns why the course is rejected, or null to enroll
+    // Rules whose value isn't on the page are skipped (logged), so a Udemy layout change doesn't close everything
+    function checkCourseFilters(filters = loadFilters()) {
+        if (!filters.enabled) return null;
+
+        const course = getCourseDetails();
+        const has = (list, text) => list.find(word => text.toLowerCase().includes(word.toLowerCase()));
+        const hasAny = (list, texts) => list.find(word => texts.some(text => text.toLowerCase() === word.toLowerCase()));
+        const unknown = rule => console.log(`Filter "${rule}" skipped - not found on the page`);
+        console.log('Course details for filters:', course);
+
+        if (filters.languages.length) {
+            if (!course.language) unknown('Languages');
+            else if (!has(filters.languages, course.language)) return `Language: ${course.language}`;
+        }
+        if (filters.minRating) {
+            if (course.rating === null) unknown('Minimum rating');
+            else if (course.rating < filters.minRating) return `Rating ${course.rating} < ${filters.minRating}`;
+        }
+        if (filters.minRatings) {
+            if (course.ratingsCount === null) unknown('Minimum number of ratings');
+            else if (course.ratingsCount < filters.minRatings) return `${course.ratingsCount} ratings < ${filters.minRatings}`;
+        }
+        if (filters.minHours) {
+            if (course.hours === null) unknown('Minimum duration');
+            else if (course.hours < filters.minHours) return `Duration ${course.hours.toFixed(1)}h < ${filters.minHours}h`;
+        }
+        if (filters.categories.length || filters.blockedCategories.length) {
+            if (!course.categories.length) {
+                unknown('Categories');
+            } else {
+                const blocked = hasAny(filters.blockedCategories, course.categories);
+                if (blocked) return `Category blocked: ${blocked}`;
+                if (filters.categories.length && !hasAny(filters.categories, course.categories)) {
+                    return `Category: ${course.categories.join(' > ')}`;
+                }
+            }
+        }
+        const denied = has(filters.titleDeny, course.title);
+        if (denied) return `Title contains "${denied}"`;
+        if (filters.titleAllow.length && !has(filters.titleAllow, course.title)) return 'Title has none of the allowed keywords';
+        if (filters.blockedInstructors.length) {
+            if (!course.instructors.length) unknown('Blocked instructors');
+            const blocked = hasAny(filters.blockedInstructors, course.instructors);
+            if (blocked) return `Instructor blocked: ${blocked}`;
+        }
+        return null;
     }
 
+    function openFilterSettings() {
+        const filters = loadFilters();
+        const fields = FILTER_FIELDS.map(field => `
+            <label>${field.label}
+                <input type="text" data-key="${field.key}" placeholder="${field.hint}">
+            </label>
+        `).join('');
+
+        const overlay = openOverlay(`
+            <div class="uld-panel">
+                <div class="uld-header">
+                    <h2>⚙️ Course Filters</h2>
+                    <button data-action="close">✕ Close</button>
+                </div>
+                <div class="uld-muted">Checked on free courses before enrolling. Courses that fail are closed and show up as
+                    "Filtered out" in the Enrollment Dashboard, with the rule that rejected them. Empty / 0 = rule off.</div>
+                <div class="uld-form">
+                    <label><input type="checkbox" data-key="enabled"> Filters on</label>
+                    ${fields}
+                    <div class="uld-row">
+                        <button data-action="save" class="uld-active">💾 Save</button>
+                        <button data-action="reset">Reset to none</button>
+                    </div>
+                    <div class="uld-muted" data-role="message"></div>
+                </div>
+            </div>
+        `);
+
+        const input = key => overlay.querySelector(`[data-key="${key}"]`);
+        const fill = values => {
+            input('enabled').checked = values.enabled;
+            for (const field of FILTER_FIELDS) {
+                const value = values[field.key];
+                input(field.key).value = field.type === 'list' ? value.join(', ') : (value || '');
+            }
+        };
+        fill(filters);
+
+        overlay.addEventListener('click', event => {
+            if (event.target === overlay) overlay.remove();
+            const action = event.target.dataset?.action;
+            if (action === 'close') overlay.remove();
+            if (action === 'reset') fill(DEFAULT_FILTERS);
+            if (action === 'save') {
+                const saved = { enabled: input('enabled').checked };
+                for (const field of FILTER_FIELDS) {
+                    const text = input(field.key).value.trim();
+                    if (field.type === 'list') {
+                        saved[field.key] = text.split(',').map(word => word.trim()).filter(Boolean);
+                    } else {
+                        const number = parseLocaleNumber(text, field.count);
+                        if (text && (number === null || isNaN(number))) {
+                            overlay.querySelector('[data-role="message"]').textContent = `❌ ${field.label}: "${text}" is not a number`;
+                            return;
+                        }
+                        saved[field.key] = number || 0;
+                    }
+                }
+                GM_setValue(CONFIG.FILTERS_KEY, JSON.stringify(saved));
+                overlay.querySelector('[data-role="message"]').textContent = '✅ Saved - used from the next course tab on';
+            }
+        });
+    }
+
+    GM_registerMenuCommand('⚙️ Course Filters', openFilterSettings);
+
     // ==================== MAIN LOGIC ====================
 
     async function main() {
@@ -407,6 +1210,7 @@
                     // Check if already enrolled
                     if (isAlreadyEnrolled()) {
                         console.log('Already enrolled! Fast closing...');
+                        recordOutcome('already-enrolled');
                         clearRetryCount();
                         fastClose();
                         return;
@@ -425,12 +1229,14 @@
             }
         }
 
-        // Wait for global lock (one tab at a time)
-        await acquireLock();
+        // Wait for our turn (MAX_CONCURRENT tabs at a time)
+        await joinQueue();
 
         // ==================== SUCCESS PAGE ====================
         if (window.location.href.includes('/cart/success/')) {
             console.log('Enrollment successful! Closing tab...');
+            recordOutcome('enrolled');
+            easeCooldown();
             clearRetryCount();
             await humanClose();
             return;
@@ -454,7 +1260,8 @@
                 clearRetryCount();
                 await humanClick(btn);
                 console.log('Clicked checkout button!');
-                releaseLock();
+                recordOutcome('checkout-clicked');
+                leaveQueue(true);
             } catch {
                 // Fallback: find by text
                 const enrollBtn = findButtonByText('enroll now') ||
@@ -465,7 +1272,8 @@
                     clearRetryCount();
                     await humanClick(enrollBtn);
                     console.log('Clicked fallback button!');
-                    releaseLock();
+                    recordOutcome('checkout-clicked', 'Found by button text');
+                    leaveQueue(true);
                 } else {
                     handleStuckPage('checkout button not found');
                 }
@@ -476,7 +1284,7 @@
 
         // ==================== COURSE PAGE ====================
         if (!window.location.href.includes('/course/')) {
-            releaseLock();
+            leaveQueue();
             return;
         }
 
@@ -499,8 +1307,7 @@
 
                 // Need at least price info or enroll button to proceed
                 if (discountEl || priceEl || enrollBtn) {
-                    const isFree = isCourseFree();
-                    return { type: 'priceFound', isFree, enrollBtn };
+                    return { type: 'priceFound', price: getPriceStatus(), enrollBtn };
                 }
                 return null;
             }
@@ -512,27 +1319,44 @@
 
             if (result.type === 'enrolled') {
                 console.log('Already enrolled. Fast closing...');
-                releaseLock();
+                recordOutcome('already-enrolled');
+                leaveQueue();
                 fastClose();
                 return;
             }
 
             if (result.type === 'priceFound') {
-                if (result.isFree) {
-                    console.log('Course is FREE!');
+                if (result.price.status === 'free') {
+                    console.log(`Course is FREE! (${result.price.reason})`);
+
+                    const rejection = checkCourseFilters();
+                    if (rejection) {
+                        console.log(`Course filtered out (${rejection}). Closing tab...`);
+                        recordOutcome('filtered', rejection);
+                        await humanClose();
+                        return;
+                    }
+
                     const btn = result.enrollBtn || findEnrollButton();
                     if (btn) {
                         console.log('Preparing to click Enroll now...');
                         await humanClick(btn);
                         console.log('Clicked Enroll now!');
-                        releaseLock();
+                        recordOutcome('enroll-clicked');
+                        leaveQueue(true);
                     } else {
                         console.log('Free but no enroll button found. Page HTML logged below:');
                         console.log(document.querySelector('[data-purpose="buy-now-button"]')?.outerHTML || 'buy-now-button not found');
-                        releaseLock();
+                        recordOutcome('no-enroll-button');
+                        leaveQueue();
                     }
+                } else if (result.price.status === 'coupon-expired') {
+                    console.log(`Coupon expired or used up (${result.price.reason}). Closing tab...`);
+                    recordOutcome('coupon-expired', result.price.reason);
+                    await humanClose();
                 } else {
-                    console.log('Course is NOT free. Closing tab...');
+                    console.log(`Course is NOT free (${result.price.reason}). Closing tab...`);
+                    recordOutcome('closed-paid');
                     await humanClose();
                 }
             }